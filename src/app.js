@@ -10,6 +10,8 @@ const { connectRedis, redis } = require('./config/database');
 const logger = require('./utils/logger');
 const apiRoutes = require('./routes/api');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { initializeServices } = require('./config/server');
+const newsService = require('./services/newsService');
 
 class Application {
     constructor() {
@@ -33,6 +35,9 @@ class Application {
             // Error handlers
             this.setupErrorHandlers();
             
+            // Background services (news ingestion, currency, YouTube)
+            await initializeServices();
+            
             logger.info('✅ Application initialized successfully');
             return true;
         } catch (error) {
@@ -136,6 +141,8 @@ class Application {
     async gracefulShutdown() {
         logger.info('Shutting down gracefully...');
         
+        newsService.stopBackgroundUpdates();
+        
         if (this.server) {
             this.server.close(() => {
                 logger.info('Server closed');
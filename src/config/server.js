@@ -2,9 +2,10 @@ const logger = require('../utils/logger');
 
 // Import services
 const newsService = require('../services/newsService');
-const currencyService = require('../services/currencyService');
-const youtubeService = require('../services/youtubeService');
-const aiService = require('../services/aiService');
+const currencyService = require('../services/currencyservice');
+const youtubeService = require('../services/youtubeservice');
+const aiService = require('../services/aiservice');
+const briefingService = require('../services/briefingService');
 
 // Server configuration
 const serverConfig = {
@@ -85,7 +86,7 @@ async function initializeServices() {
     // Initialize news service
     try {
       if (typeof newsService.startBackgroundUpdates === 'function') {
-        newsService.startBackgroundUpdates();
+        newsService.startBackgroundUpdates({ interval: serverConfig.updateIntervals.news });
         logger.info('✅ News service initialized');
         initResults.push({ service: 'news', status: 'success' });
       }
@@ -118,11 +119,21 @@ async function initializeServices() {
       initResults.push({ service: 'youtube', status: 'failed', error: error.message });
     }
     
+    // Initialize briefing scheduler
+    try {
+      briefingService.start();
+      logger.info('✅ Briefing service initialized', briefingService.enabled ? '' : '(disabled)');
+      initResults.push({ service: 'briefings', status: 'success', enabled: briefingService.enabled });
+    } catch (error) {
+      logger.warn('⚠️ Briefing service initialization failed:', error.message);
+      initResults.push({ service: 'briefings', status: 'failed', error: error.message });
+    }
+
     // Initialize AI service (no background updates needed, just verify)
     try {
       const aiStatus = aiService.getStatus();
-      logger.info('✅ AI service initialized', aiStatus.hasOpenAI ? '(with OpenAI)' : '(basic mode)');
-      initResults.push({ service: 'ai', status: 'success', openai: aiStatus.hasOpenAI });
+      logger.info('✅ AI service initialized', aiStatus.provider ? `(${aiStatus.provider.name}: ${aiStatus.provider.model})` : '(basic mode)');
+      initResults.push({ service: 'ai', status: 'success', openai: aiStatus.hasOpenAI, provider: aiStatus.provider && aiStatus.provider.name });
     } catch (error) {
       logger.warn('⚠️ AI service initialization failed:', error.message);
       initResults.push({ service: 'ai', status: 'failed', error: error.message });
@@ -203,10 +214,7 @@ function getServiceStatus() {
   
   try {
     // News service status
-    services.news = {
-      active: true,
-      hasBackgroundUpdates: typeof newsService.startBackgroundUpdates === 'function'
-    };
+    services.news = newsService.getStatus ? newsService.getStatus() : { active: true };
   } catch (error) {
     services.news = { active: false, error: error.message };
   }
@@ -225,6 +233,13 @@ function getServiceStatus() {
     services.youtube = { active: false, error: error.message };
   }
   
+  try {
+    // Briefing scheduler status
+    services.briefings = briefingService.getStatus();
+  } catch (error) {
+    services.briefings = { active: false, error: error.message };
+  }
+
   try {
     // AI service status
     services.ai = aiService.getStatus ? aiService.getStatus() : { active: true };
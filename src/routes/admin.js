@@ -0,0 +1,430 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import services
+const sourceRegistry = require('../services/sourceRegistry');
+const newsService = require('../services/newsService');
+const aiUsage = require('../services/aiUsage');
+const glossary = require('../services/glossary');
+const briefingService = require('../services/briefingService');
+const { EDITIONS } = require('../services/briefingService');
+const { parseOpml, mapGroupToSection } = require('../utils/opml');
+
+// 키 비교에 걸리는 시간으로 키가 드러나지 않도록, 같은 길이의 해시끼리 상수 시간에 비교
+const keyDigest = (key) => crypto.createHash('sha256').update(String(key)).digest();
+const isValidAdminKey = (given, expected) => crypto.timingSafeEqual(keyDigest(given || ''), keyDigest(expected));
+
+// Admin authentication
+// ADMIN_API_KEY가 없으면 개발 환경에서만 관리자 API를 허용
+router.use((req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    if (process.env.NODE_ENV === 'development') {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API is disabled (ADMIN_API_KEY not set)'
+    });
+  }
+
+  if (!isValidAdminKey(req.get('x-admin-key'), adminKey)) {
+    logger.security('Rejected admin API request', { ip: req.ip, path: req.path });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+});
+
+// Source registry endpoints
+router.get('/sources', async (req, res) => {
+  try {
+    await sourceRegistry.ensureLoaded();
+
+    res.json({
+      success: true,
+      data: {
+        sources: sourceRegistry.list(),
+        status: sourceRegistry.getStatus(),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin sources list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sources',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.post('/sources', async (req, res) => {
+  try {
+    const source = await sourceRegistry.add(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: { source }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        field: error.field || undefined
+      });
+    }
+
+    logger.error('Admin source add error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add source',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// OPML import: 그룹 이름을 섹션으로 매핑하고, 파싱에 성공한 피드만 활성화
+router.post('/sources/import', express.text({
+  type: ['text/xml', 'application/xml', 'text/x-opml', 'application/octet-stream'],
+  limit: '2mb'
+}), async (req, res) => {
+  try {
+    const opml = typeof req.body === 'string' ? req.body : req.body?.opml;
+    const defaultSection = req.query.section || req.body?.section || null;
+
+    if (!opml || typeof opml !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'OPML document is required (XML body or { "opml": "..." })'
+      });
+    }
+
+    let feeds;
+    try {
+      feeds = await parseOpml(opml);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid OPML: ${parseError.message}`
+      });
+    }
+
+    const report = await sourceRegistry.importFeeds(
+      feeds.map(feed => ({ ...feed, section: mapGroupToSection(feed.group) })),
+      { defaultSection }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        total: feeds.length,
+        ...report,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin OPML import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'OPML import failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 저장하지 않은 URL을 미리 시험해볼 때 사용
+router.post('/sources/test', async (req, res) => {
+  try {
+    const { url } = req.body || {};
+
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid feed url is required'
+      });
+    }
+
+    const result = await sourceRegistry.test({ url });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Admin source test error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Source test failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.post('/sources/:id/test', async (req, res) => {
+  try {
+    await sourceRegistry.ensureLoaded();
+    const result = await sourceRegistry.test(req.params.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Admin source test error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Source test failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Fetch a source now (its next scheduled run is unchanged)
+router.post('/sources/:id/refresh', async (req, res) => {
+  try {
+    const job = await newsService.triggerSource(req.params.id);
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Admin source refresh error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Source refresh failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+['enable', 'disable'].forEach(action => {
+  router.post(`/sources/:id/${action}`, async (req, res) => {
+    try {
+      const source = await sourceRegistry.setEnabled(req.params.id, action === 'enable');
+
+      res.json({
+        success: true,
+        data: { source }
+      });
+
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error(`Admin source ${action} error for ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} source`,
+        message: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+});
+
+// 번역 용어집: 원문 용어 → 선호하는 한국어 표기 (caseSensitive, sections 범위, aliases는 바꿔 쓸 다른 표기)
+router.get('/glossary', async (req, res) => {
+  try {
+    await glossary.ensureLoaded(true);
+
+    res.json({
+      success: true,
+      data: {
+        entries: glossary.list({ section: req.query.section }),
+        status: glossary.getStatus(),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin glossary list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list glossary',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.post('/glossary', async (req, res) => {
+  try {
+    const entry = await glossary.add(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: { entry }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        field: error.field || undefined
+      });
+    }
+
+    logger.error('Admin glossary add error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add glossary entry',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.patch('/glossary/:id', async (req, res) => {
+  try {
+    const entry = await glossary.update(req.params.id, req.body || {});
+
+    res.json({
+      success: true,
+      data: { entry }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        field: error.field || undefined
+      });
+    }
+
+    logger.error(`Admin glossary update error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update glossary entry',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/glossary/:id', async (req, res) => {
+  try {
+    await glossary.remove(req.params.id);
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Admin glossary delete error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete glossary entry',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// AI 사용량: 작업·섹션·모델별 토큰과 비용, 일일 예산 상태 (days: 1-90, 기본 7)
+router.get('/ai/usage', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be an integer between 1 and 90'
+      });
+    }
+
+    const report = await aiUsage.getReport({ days });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin AI usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load AI usage',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Compose a section briefing now (stored under today's date, replacing that edition)
+router.post('/briefings/:section', async (req, res) => {
+  try {
+    const { section } = req.params;
+    const edition = req.query.edition || 'morning';
+
+    if (!sourceRegistry.isValidSection(section)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid section: ${section}`
+      });
+    }
+
+    if (!EDITIONS.includes(edition)) {
+      return res.status(400).json({
+        success: false,
+        error: `edition must be one of: ${EDITIONS.join(', ')}`
+      });
+    }
+
+    const briefing = await briefingService.compose(section, { edition });
+
+    res.json({
+      success: true,
+      data: { briefing }
+    });
+
+  } catch (error) {
+    logger.error('Admin briefing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compose briefing',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -7,7 +7,20 @@ const newsService = require('../services/newsService');
 const currencyService = require('../services/currencyservice');
 const youtubeService = require('../services/youtubeservice');
 const aiService = require('../services/aiservice');
+const { TRANSLATION_TARGETS } = require('../services/aiservice');
+const { SENTIMENTS } = require('../services/sentimentAnalyzer');
 const ratingService = require('../services/ratingservice');
+const questionAnswerer = require('../services/questionAnswerer');
+const briefingService = require('../services/briefingService');
+const { EDITIONS } = require('../services/briefingService');
+const sourceRegistry = require('../services/sourceRegistry');
+const { buildOpml } = require('../utils/opml');
+const { renderMarkdown, renderHtml } = require('../utils/briefing');
+const { paginate, parseLimit } = require('../utils/pagination');
+const { detectLanguage } = require('../utils/language');
+
+// Sub-routers
+const adminRoutes = require('./admin');
 
 // Middleware for logging API requests
 router.use((req, res, next) => {
@@ -23,6 +36,9 @@ router.use((req, res, next) => {
   next();
 });
 
+// Admin endpoints
+router.use('/admin', adminRoutes);
+
 // Health check endpoint
 router.get('/health', async (req, res) => {
   try {
@@ -51,8 +67,8 @@ router.get('/health', async (req, res) => {
 // News endpoints
 router.get('/news/:section?', async (req, res) => {
   try {
-    const { section = 'world' } = req.params;
-    const { cache = 'true', limit = '20' } = req.query;
+    const section = sourceRegistry.resolveSection(req.params.section || 'world');
+    const { cache = 'true', limit = '20', before, after, cursor, lang, sentiment, sentimentSummary } = req.query;
     
     // Validate section
     const validSections = ['world', 'kr', 'japan', 'tech', 'business', 'buzz'];
@@ -64,20 +80,53 @@ router.get('/news/:section?', async (req, res) => {
       });
     }
 
-    const useCache = cache !== 'false';
-    const result = await newsService.getNews(section, useCache);
-    
-    // Apply limit if specified
-    if (result.success && result.data.articles) {
-      const limitNum = parseInt(limit, 10);
-      if (limitNum > 0 && limitNum < result.data.articles.length) {
-        result.data.articles = result.data.articles.slice(0, limitNum);
-      }
+    // before/after: ISO 날짜 또는 epoch ms (발행 시각 기준)
+    const beforeTime = parseTimeParam(before);
+    const afterTime = parseTimeParam(after);
+    if (beforeTime === undefined || afterTime === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'before/after must be an ISO date or epoch milliseconds'
+      });
+    }
+
+    if (lang && !TRANSLATION_TARGETS.includes(lang)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported language',
+        supportedLanguages: TRANSLATION_TARGETS
+      });
+    }
+
+    if (sentiment && !SENTIMENTS.includes(sentiment)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sentiment',
+        validSentiments: SENTIMENTS
+      });
     }
 
+    const useCache = cache !== 'false';
+    const result = await newsService.getNews(section, useCache, {
+      before: beforeTime,
+      after: afterTime,
+      limit: parseLimit(limit),
+      cursor,
+      lang,
+      sentiment,
+      sentimentSummary: sentimentSummary === 'true'
+    });
+
     res.json(result);
     
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     logger.error(`News API error for section ${req.params.section}:`, error);
     res.status(500).json({
       success: false,
@@ -87,6 +136,251 @@ router.get('/news/:section?', async (req, res) => {
   }
 });
 
+// Article detail endpoint
+router.get('/articles/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^[a-f0-9]{16}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid article id'
+      });
+    }
+
+    const article = await newsService.getArticle(id);
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { article }
+    });
+
+  } catch (error) {
+    logger.error(`Article API error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Article summary as server-sent events: token events while the provider generates,
+// then a done event with the full (cached) summary. Cached summaries are replayed at once.
+router.get('/articles/:id/summary/stream', async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^[a-f0-9]{16}$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid article id'
+    });
+  }
+
+  // 헤더와 heartbeat를 먼저 보내도록 LLM 작업 없이 저장된 기사만 조회
+  let article;
+  try {
+    article = await newsService.findArticle(id);
+  } catch (error) {
+    logger.error(`Summary stream error for ${id}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  if (!article) {
+    return res.status(404).json({
+      success: false,
+      error: 'Article not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression 미들웨어가 버퍼링하지 않도록 이벤트마다 flush
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (res.flush) res.flush();
+  };
+  const heartbeat = setInterval(() => {
+    if (res.writableEnded) return;
+    res.write(': ping\n\n');
+    if (res.flush) res.flush();
+  }, 15000);
+
+  // 클라이언트가 끊으면 생성을 중단하고 ping도 멈춤 (제공자 요청이 늦게 끝나도 닫힌 연결에 쓰지 않도록)
+  const controller = new AbortController();
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    controller.abort();
+  });
+
+  try {
+    const result = await newsService.streamArticleSummary(article, {
+      signal: controller.signal,
+      onDelta: text => send('token', { text })
+    });
+
+    if (result.cached) {
+      send('token', { text: result.summary });
+    }
+    send('done', {
+      articleId: article.id,
+      summary: result.summary,
+      summaryPoints: article.summaryPoints || [],
+      cached: result.cached,
+      source: result.source
+    });
+
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      logger.error(`Summary stream error for ${id}:`, error);
+      send('error', {
+        error: 'Summary generation failed',
+        message: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Story clusters: articles from different sources about the same event
+router.get('/stories/:section', async (req, res) => {
+  try {
+    const { section } = req.params;
+    const { limit = '20', cursor } = req.query;
+
+    if (!sourceRegistry.isValidSection(section)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid section',
+        validSections: sourceRegistry.SECTIONS
+      });
+    }
+
+    const result = await newsService.getStories(section, {
+      limit: parseLimit(limit),
+      cursor
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Stories API error for section ${req.params.section}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Story timeline: dated entries with a one-line "what changed" delta
+router.get('/stories/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^[a-f0-9]{16}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid story id'
+      });
+    }
+
+    const timeline = await newsService.getStoryTimeline(id);
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+
+  } catch (error) {
+    logger.error(`Story timeline API error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Entity page: recent articles, related videos and daily mention trend
+router.get('/entities/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const days = req.query.days === undefined ? 14 : parseInt(req.query.days);
+
+    if (!/^[a-z0-9][a-z0-9-]{0,80}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid entity id'
+      });
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > 30) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be an integer between 1 and 30'
+      });
+    }
+
+    const entity = await newsService.getEntity(id, { days });
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entity not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...entity,
+        days,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Entity API error for ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Get all sections summary
 router.get('/news', async (req, res) => {
   try {
@@ -139,6 +433,49 @@ router.get('/news', async (req, res) => {
   }
 });
 
+// Feed source health report
+router.get('/sources/health', async (req, res) => {
+  try {
+    const report = await newsService.getSourceHealth();
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Source health API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get source health',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// OPML export of the active news sources
+router.get('/sources.opml', async (req, res) => {
+  try {
+    await sourceRegistry.ensureLoaded();
+    const sources = sourceRegistry.list().filter(source => source.enabled);
+
+    res.type('text/x-opml');
+    res.set('Content-Disposition', 'attachment; filename="emarknews-sources.opml"');
+    res.send(buildOpml('EmarkNews Sources', sources));
+
+  } catch (error) {
+    logger.error('OPML export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export sources',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Currency endpoints
 router.get('/currency', async (req, res) => {
   try {
@@ -159,7 +496,7 @@ router.get('/currency', async (req, res) => {
 router.get('/youtube/:section?', async (req, res) => {
   try {
     const { section = 'world' } = req.params;
-    const { limit = '10' } = req.query;
+    const { limit = '10', cursor } = req.query;
     
     // Validate section
     const validSections = ['world', 'kr', 'japan', 'tech', 'business', 'buzz'];
@@ -173,17 +510,28 @@ router.get('/youtube/:section?', async (req, res) => {
 
     const result = await youtubeService.getVideos(section);
     
-    // Apply limit if specified
+    // Cursor pagination
     if (result.success && result.data.videos) {
-      const limitNum = parseInt(limit, 10);
-      if (limitNum > 0 && limitNum < result.data.videos.length) {
-        result.data.videos = result.data.videos.slice(0, limitNum);
-      }
+      const page = paginate(result.data.videos, {
+        scope: `youtube:${section}`,
+        cursor,
+        limit: parseLimit(limit, 10),
+        sortKey: video => [new Date(video.publishedAt).getTime(), video.id]
+      });
+      result.data.videos = page.items;
+      result.data.nextCursor = page.nextCursor;
     }
 
     res.json(result);
     
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     logger.error(`YouTube API error for section ${req.params.section}:`, error);
     res.status(500).json({
       success: false,
@@ -196,7 +544,7 @@ router.get('/youtube/:section?', async (req, res) => {
 // AI endpoints
 router.post('/translate', async (req, res) => {
   try {
-    const { text, target = 'ko' } = req.body;
+    const { text, target = 'ko', source } = req.body;
     
     if (!text || typeof text !== 'string') {
       return res.status(400).json({
@@ -205,20 +553,23 @@ router.post('/translate', async (req, res) => {
       });
     }
 
-    if (target !== 'ko') {
+    if (!TRANSLATION_TARGETS.includes(target)) {
       return res.status(400).json({
         success: false,
-        error: 'Only Korean translation is supported'
+        error: 'Unsupported target language',
+        supportedLanguages: TRANSLATION_TARGETS
       });
     }
 
-    const translated = await aiService.translateToKorean(text);
+    const sourceLanguage = source || detectLanguage(text);
+    const translated = await aiService.translate(text, { source: sourceLanguage, target });
     
     res.json({
       success: true,
       data: {
         original: text,
         translated,
+        source: sourceLanguage,
         target,
         timestamp: new Date().toISOString()
       }
@@ -267,6 +618,108 @@ router.post('/summarize', async (req, res) => {
   }
 });
 
+// Section briefing for a date (YYYY-MM-DD in the briefing time zone, or "today")
+// as JSON, HTML or Markdown: ?format=json|html|markdown, otherwise by Accept header
+router.get('/briefings/:section/:date', async (req, res) => {
+  try {
+    const { section } = req.params;
+    const { edition, format } = req.query;
+    const date = req.params.date === 'today' ? briefingService.dateKey() : req.params.date;
+
+    if (!sourceRegistry.isValidSection(section)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid section: ${section}`
+      });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be YYYY-MM-DD or today'
+      });
+    }
+
+    if (edition !== undefined && !EDITIONS.includes(edition)) {
+      return res.status(400).json({
+        success: false,
+        error: `edition must be one of: ${EDITIONS.join(', ')}`
+      });
+    }
+
+    const type = format === 'md' ? 'markdown' : format || req.accepts(['json', 'html', 'text/markdown']) || 'json';
+    if (!['json', 'html', 'markdown', 'text/markdown'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json, html or markdown'
+      });
+    }
+
+    const day = await briefingService.get(section, date, { edition });
+    if (!day) {
+      return res.status(404).json({
+        success: false,
+        error: 'Briefing not found'
+      });
+    }
+
+    if (type === 'html') {
+      return res.type('html').send(renderHtml(day));
+    }
+    if (type === 'markdown' || type === 'text/markdown') {
+      return res.type('text/markdown; charset=utf-8').send(renderMarkdown(day));
+    }
+
+    res.json({
+      success: true,
+      data: day
+    });
+
+  } catch (error) {
+    logger.error(`Briefing API error for ${req.params.section}/${req.params.date}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Question answering over stored articles (answers cite article ids, refuses without support)
+router.post('/ask', async (req, res) => {
+  try {
+    const { question, section, days } = req.body || {};
+
+    const result = await questionAnswerer.ask(question, {
+      section: section || undefined,
+      days: days === undefined || days === null || days === '' ? undefined : Number(days)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Ask API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Question answering failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Rating endpoints
 router.post('/rate', async (req, res) => {
   try {
@@ -349,7 +802,7 @@ router.get('/stats', async (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       services: {
-        news: { status: 'active' },
+        news: newsService.getStatus(),
         currency: currencyService.getStatus(),
         youtube: youtubeService.getStatus(),
         ai: aiService.getStatus(),
@@ -376,7 +829,7 @@ router.get('/stats', async (req, res) => {
 // Search endpoint
 router.get('/search', async (req, res) => {
   try {
-    const { q, section, limit = '20' } = req.query;
+    const { q, section, limit = '20', cursor, before, after } = req.query;
     
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -385,47 +838,62 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    const searchTerm = q.trim().toLowerCase();
-    const sections = section ? [section] : ['world', 'kr', 'japan', 'tech', 'business', 'buzz'];
-    const results = [];
-    
-    for (const sect of sections) {
-      try {
-        const newsResult = await newsService.getNews(sect, true);
-        if (newsResult.success) {
-          const matchingArticles = newsResult.data.articles.filter(article => 
-            article.title.toLowerCase().includes(searchTerm) ||
-            (article.description && article.description.toLowerCase().includes(searchTerm)) ||
-            (article.titleKo && article.titleKo.toLowerCase().includes(searchTerm))
-          );
-          results.push(...matchingArticles);
-        }
-      } catch (error) {
-        logger.warn(`Search failed for section ${sect}:`, error.message);
-      }
+    if (section && !sourceRegistry.isValidSection(section)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid section',
+        validSections: sourceRegistry.SECTIONS
+      });
     }
-    
+
+    const beforeTime = parseTimeParam(before);
+    const afterTime = parseTimeParam(after);
+    if (beforeTime === undefined || afterTime === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'before/after must be an ISO date or epoch milliseconds'
+      });
+    }
+
+    const searchTerm = q.trim().toLowerCase();
+    const { articles: results, scanned } = await newsService.searchArticles(searchTerm, {
+      section,
+      before: beforeTime,
+      after: afterTime
+    });
+
     // Sort by relevance and date
-    const sortedResults = results
-      .sort((a, b) => {
-        const aScore = this.calculateRelevanceScore(a, searchTerm);
-        const bScore = this.calculateRelevanceScore(b, searchTerm);
-        if (aScore !== bScore) return bScore - aScore;
-        return new Date(b.publishedAt) - new Date(a.publishedAt);
-      })
-      .slice(0, parseInt(limit));
+    const page = paginate(results, {
+      scope: `search:${section || ''}:${beforeTime ?? ''}:${afterTime ?? ''}:${searchTerm}`,
+      cursor,
+      limit: parseLimit(limit),
+      sortKey: article => [
+        calculateRelevanceScore(article, searchTerm),
+        new Date(article.publishedAt).getTime(),
+        article.id
+      ]
+    });
     
     res.json({
       success: true,
       data: {
         query: q,
-        results: sortedResults,
-        total: sortedResults.length,
+        results: page.items,
+        total: results.length,
+        scanned,
+        nextCursor: page.nextCursor,
         timestamp: new Date().toISOString()
       }
     });
     
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     logger.error('Search API error:', error);
     res.status(500).json({
       success: false,
@@ -435,6 +903,13 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Parse a time query parameter: null when absent, undefined when invalid
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return null;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isFinite(time) ? time : undefined;
+}
+
 // Calculate relevance score for search results
 function calculateRelevanceScore(article, searchTerm) {
   let score = 0;
@@ -481,14 +956,35 @@ router.use('*', (req, res) => {
     path: req.originalUrl,
     availableEndpoints: [
       'GET /api/news/:section',
+      'GET /api/articles/:id',
+      'GET /api/articles/:id/summary/stream',
+      'GET /api/stories/:section',
+      'GET /api/stories/:id/timeline',
+      'GET /api/entities/:id',
       'GET /api/currency',
       'GET /api/youtube/:section',
       'POST /api/translate',
       'POST /api/summarize',
+      'POST /api/ask',
+      'GET /api/briefings/:section/:date',
       'POST /api/rate',
       'GET /api/trending',
       'GET /api/stats',
-      'GET /api/search'
+      'GET /api/search',
+      'GET /api/sources/health',
+      'GET /api/sources.opml',
+      'GET /api/admin/sources',
+      'POST /api/admin/sources',
+      'POST /api/admin/sources/import',
+      'POST /api/admin/sources/:id/enable',
+      'POST /api/admin/sources/:id/disable',
+      'POST /api/admin/sources/:id/test',
+      'GET /api/admin/glossary',
+      'POST /api/admin/glossary',
+      'PATCH /api/admin/glossary/:id',
+      'DELETE /api/admin/glossary/:id',
+      'GET /api/admin/ai/usage',
+      'POST /api/admin/briefings/:section'
     ]
   });
 });
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { redis } = require('../config/database');
+
+// 종류별 보관 기간 (초)
+const TTLS = {
+  translation: 30 * 24 * 60 * 60,
+  summary: 7 * 24 * 60 * 60,
+  detailed: 7 * 24 * 60 * 60,
+  enrichment: 7 * 24 * 60 * 60,
+  // 질의응답은 새 기사가 들어오면 답이 달라질 수 있어 짧게
+  answer: 6 * 60 * 60
+};
+const DEFAULT_TTL = 7 * 24 * 60 * 60;
+
+// AI 결과 캐시 (번역, 요약 포인트, 상세 요약, 일괄 보강, 질의응답)
+// 키는 입력 전문과 변형 정보(모델, 언어, 포인트 수 등)의 SHA-1 해시라서, 앞부분만 같은 다른 글과 섞이지 않는다.
+// 앞단의 메모리 LRU → Redis(ai:<kind>:<hash>) 순으로 조회하고, Redis는 여러 인스턴스가 공유한다.
+class AICache {
+  constructor() {
+    this.maxMemoryEntries = parseInt(process.env.AI_CACHE_MEMORY_SIZE) || 1000;
+    this.memory = new Map();
+    this.stats = {};
+  }
+
+  key(kind, input, variant = '') {
+    const hash = crypto.createHash('sha1').update(`${variant}\n${input}`).digest('hex');
+    return `ai:${kind}:${hash}`;
+  }
+
+  counter(kind) {
+    if (!this.stats[kind]) {
+      this.stats[kind] = { memoryHits: 0, redisHits: 0, misses: 0, writes: 0 };
+    }
+    return this.stats[kind];
+  }
+
+  async get(kind, input, variant) {
+    const key = this.key(kind, input, variant);
+    const stats = this.counter(kind);
+
+    if (this.memory.has(key)) {
+      const value = this.memory.get(key);
+      // LRU: 최근 사용 항목을 맨 뒤로
+      this.memory.delete(key);
+      this.memory.set(key, value);
+      stats.memoryHits++;
+      return value;
+    }
+
+    try {
+      const cached = await redis.get(key);
+      if (cached) {
+        const value = JSON.parse(cached);
+        this.remember(key, value);
+        stats.redisHits++;
+        return value;
+      }
+    } catch (error) {
+      logger.warn('AI cache read failed:', error.message);
+    }
+
+    stats.misses++;
+    return null;
+  }
+
+  async set(kind, input, variant, value) {
+    if (value === null || value === undefined) return;
+    const key = this.key(kind, input, variant);
+
+    this.remember(key, value);
+    this.counter(kind).writes++;
+
+    try {
+      await redis.set(key, JSON.stringify(value), { EX: TTLS[kind] || DEFAULT_TTL });
+    } catch (error) {
+      logger.warn('AI cache write failed:', error.message);
+    }
+  }
+
+  remember(key, value) {
+    this.memory.delete(key);
+    this.memory.set(key, value);
+    if (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  clearMemory() {
+    this.memory.clear();
+  }
+
+  getStats() {
+    const kinds = {};
+    Object.entries(this.stats).forEach(([kind, stats]) => {
+      const lookups = stats.memoryHits + stats.redisHits + stats.misses;
+      kinds[kind] = {
+        ...stats,
+        hitRate: lookups > 0 ? Math.round(((stats.memoryHits + stats.redisHits) / lookups) * 1000) / 1000 : null
+      };
+    });
+
+    return {
+      memoryEntries: this.memory.size,
+      maxMemoryEntries: this.maxMemoryEntries,
+      kinds
+    };
+  }
+}
+
+module.exports = new AICache();
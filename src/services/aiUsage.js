@@ -0,0 +1,284 @@
+const logger = require('../utils/logger');
+const database = require('../config/database');
+
+const dayKey = (date) => `ai:usage:${date}`;
+const METRICS = ['calls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+const RETENTION_DAYS = 90;
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// 날짜 문자열 (UTC 기준 YYYY-MM-DD)
+const today = () => new Date().toISOString().slice(0, 10);
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function emptyDay(date) {
+  return { date, totals: emptyTotals(), operations: {}, sections: {}, models: {}, degraded: {} };
+}
+
+// AI 호출 토큰·비용 집계
+// 호출마다 제공자 응답의 usage를 작업(operation)·섹션·모델별로 하루 단위로 쌓고,
+// 설정된 일일 예산(AI_DAILY_BUDGET_USD, AI_DAILY_TOKEN_BUDGET)을 넘었는지 알려준다.
+// Redis: ai:usage:<date>(HASH "operation|translate|cost" 형태의 필드 → 누적값, 90일 보관), 없으면 메모리
+class AIUsage {
+  constructor() {
+    this.budget = {
+      cost: parseFloat(process.env.AI_DAILY_BUDGET_USD) || 0,
+      tokens: parseInt(process.env.AI_DAILY_TOKEN_BUDGET) || 0
+    };
+    this.memory = new Map();
+    // 예산 판단용 오늘 누계 (Redis를 쓰면 기록할 때마다 공유 누계로 갱신)
+    this.current = { date: today(), totals: emptyTotals() };
+    this.lastRefresh = 0;
+  }
+
+  getRedis() {
+    const client = database.getClient();
+    return client && client.isOpen ? client : null;
+  }
+
+  // usage: 제공자 응답의 { promptTokens, completionTokens, totalTokens }
+  // sections: 호출 비용을 나눠 가질 섹션들 (일괄 보강처럼 여러 섹션 기사가 한 프롬프트에 들어가는 경우)
+  async record({ operation = 'other', sections = [], model = 'unknown', usage = {}, cost = 0 }) {
+    const date = today();
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const values = {
+      calls: 1,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      cost
+    };
+
+    const scopes = [['total'], ['operation', operation], ['model', model]];
+
+    // 섹션별 몫: 같은 섹션 기사가 여럿이면 합쳐서 한 번에 (예: world 2개, tech 1개 → 2/3, 1/3)
+    const shares = new Map();
+    (sections.length > 0 ? sections : ['unknown']).forEach((section, index, list) => {
+      shares.set(section, (shares.get(section) || 0) + 1 / list.length);
+    });
+
+    this.rollover(date);
+    METRICS.forEach(metric => { this.current.totals[metric] += values[metric]; });
+
+    const client = this.getRedis();
+    if (!client) {
+      const day = this.memory.get(date) || emptyDay(date);
+      this.memory.set(date, day);
+      this.addTo(day.totals, values, 1);
+      this.addTo(this.bucket(day.operations, operation), values, 1);
+      this.addTo(this.bucket(day.models, model), values, 1);
+      shares.forEach((share, section) => this.addTo(this.bucket(day.sections, section), values, share));
+      return;
+    }
+
+    try {
+      const multi = client.multi();
+      scopes.forEach(scope => this.increment(multi, date, scope, values, 1));
+      shares.forEach((share, section) => this.increment(multi, date, ['section', section], values, share));
+      multi.hGetAll(dayKey(date));
+      multi.expire(dayKey(date), RETENTION_DAYS * 24 * 60 * 60);
+      const replies = await multi.exec();
+
+      // 다른 인스턴스의 호출까지 포함한 누계로 예산 상태 갱신
+      this.syncCurrent(date, replies[replies.length - 2]);
+    } catch (error) {
+      logger.warn('AI usage write failed:', error.message);
+    }
+  }
+
+  // 예산 때문에 LLM 대신 기본 처리로 대체한 횟수
+  async recordDegraded(operation) {
+    const date = today();
+    const client = this.getRedis();
+
+    if (!client) {
+      const day = this.memory.get(date) || emptyDay(date);
+      this.memory.set(date, day);
+      day.degraded[operation] = (day.degraded[operation] || 0) + 1;
+      return;
+    }
+
+    try {
+      await client.hIncrBy(dayKey(date), `degraded|${operation}`, 1);
+    } catch (error) {
+      logger.warn('AI usage write failed:', error.message);
+    }
+  }
+
+  // 나눠 가진 몫(share < 1)은 반올림하지 않고 소수로 쌓고, 보고할 때 반올림
+  increment(multi, date, scope, values, share) {
+    METRICS.forEach(metric => {
+      const field = [...scope, metric].join('|');
+      if (metric === 'cost' || share !== 1) {
+        multi.hIncrByFloat(dayKey(date), field, values[metric] * share);
+      } else {
+        multi.hIncrBy(dayKey(date), field, values[metric]);
+      }
+    });
+  }
+
+  bucket(group, name) {
+    if (!group[name]) group[name] = emptyTotals();
+    return group[name];
+  }
+
+  addTo(target, values, share) {
+    METRICS.forEach(metric => { target[metric] += values[metric] * share; });
+  }
+
+  rollover(date) {
+    if (this.current.date !== date) {
+      this.current = { date, totals: emptyTotals() };
+    }
+  }
+
+  syncCurrent(date, hash) {
+    if (!hash) return;
+    this.rollover(date);
+    this.current.totals = this.parseDay(date, hash).totals;
+    this.lastRefresh = Date.now();
+  }
+
+  // 다른 인스턴스가 쓴 사용량을 주기적으로 반영 (예산 판단은 동기라서 백그라운드로 갱신)
+  refreshIfDue() {
+    if (Date.now() - this.lastRefresh < REFRESH_INTERVAL_MS) return;
+    this.lastRefresh = Date.now();
+
+    const client = this.getRedis();
+    if (!client) return;
+
+    const date = today();
+    client.hGetAll(dayKey(date))
+      .then(hash => this.syncCurrent(date, hash))
+      .catch(error => logger.warn('AI usage refresh failed:', error.message));
+  }
+
+  // 오늘 예산을 다 썼는지 (예산이 설정되지 않았으면 항상 false)
+  isBudgetExhausted() {
+    if (!this.budget.cost && !this.budget.tokens) return false;
+
+    this.refreshIfDue();
+    this.rollover(today());
+    const { cost, totalTokens } = this.current.totals;
+    return (this.budget.cost > 0 && cost >= this.budget.cost)
+      || (this.budget.tokens > 0 && totalTokens >= this.budget.tokens);
+  }
+
+  getBudget() {
+    this.rollover(today());
+    const { cost, totalTokens } = this.current.totals;
+
+    return {
+      date: this.current.date,
+      costUsd: this.budget.cost || null,
+      tokens: this.budget.tokens || null,
+      spentCostUsd: round(cost),
+      spentTokens: totalTokens,
+      remainingCostUsd: this.budget.cost ? round(Math.max(0, this.budget.cost - cost)) : null,
+      remainingTokens: this.budget.tokens ? Math.max(0, this.budget.tokens - totalTokens) : null,
+      exhausted: this.isBudgetExhausted()
+    };
+  }
+
+  // Redis 해시 필드("scope|name|metric")를 하루 집계 객체로 변환
+  parseDay(date, hash) {
+    const day = emptyDay(date);
+    const groups = { operation: day.operations, section: day.sections, model: day.models };
+
+    Object.entries(hash || {}).forEach(([field, raw]) => {
+      const parts = field.split('|');
+      const value = parseFloat(raw) || 0;
+
+      if (parts[0] === 'total') {
+        day.totals[parts[1]] = value;
+      } else if (parts[0] === 'degraded') {
+        day.degraded[parts[1]] = value;
+      } else if (groups[parts[0]]) {
+        this.bucket(groups[parts[0]], parts[1])[parts[2]] = value;
+      }
+    });
+
+    return day;
+  }
+
+  async getDay(date) {
+    const client = this.getRedis();
+    if (!client) return this.memory.get(date) || emptyDay(date);
+
+    try {
+      return this.parseDay(date, await client.hGetAll(dayKey(date)));
+    } catch (error) {
+      logger.warn('AI usage read failed:', error.message);
+      return emptyDay(date);
+    }
+  }
+
+  // 최근 days일 보고서 (오늘 포함, 최신순)
+  async getReport({ days = 7 } = {}) {
+    const dates = Array.from({ length: days }, (_, index) =>
+      new Date(Date.now() - index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    );
+    const unrounded = await Promise.all(dates.map(date => this.getDay(date)));
+    const daily = unrounded.map(roundDay);
+
+    // 기간 합계는 반올림 전 값으로 (섹션 몫의 소수가 날마다 버려지지 않도록)
+    const period = emptyDay(null);
+    unrounded.forEach(day => {
+      this.addTo(period.totals, day.totals, 1);
+      ['operations', 'sections', 'models'].forEach(group => {
+        Object.entries(day[group]).forEach(([name, totals]) => this.addTo(this.bucket(period[group], name), totals, 1));
+      });
+      Object.entries(day.degraded).forEach(([operation, count]) => {
+        period.degraded[operation] = (period.degraded[operation] || 0) + count;
+      });
+    });
+
+    const { date, ...summary } = roundDay(period);
+    return {
+      from: dates[dates.length - 1],
+      to: dates[0],
+      budget: this.getBudget(),
+      summary,
+      days: daily
+    };
+  }
+
+  getStatus() {
+    return {
+      storage: this.getRedis() ? 'redis' : 'memory',
+      budget: this.getBudget()
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function roundTotals(totals) {
+  const rounded = {};
+  METRICS.forEach(metric => {
+    rounded[metric] = metric === 'cost' ? round(totals[metric]) : Math.round(totals[metric]);
+  });
+  return rounded;
+}
+
+function roundDay(day) {
+  const roundGroup = (group) => Object.fromEntries(
+    Object.entries(group).map(([name, totals]) => [name, roundTotals(totals)])
+  );
+
+  return {
+    date: day.date,
+    totals: roundTotals(day.totals),
+    operations: roundGroup(day.operations),
+    sections: roundGroup(day.sections),
+    models: roundGroup(day.models),
+    degraded: day.degraded
+  };
+}
+
+module.exports = new AIUsage();
@@ -1,25 +1,67 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createProvider } = require('./llmProvider');
+const aiCache = require('./aiCache');
+const aiUsage = require('./aiUsage');
+const glossary = require('./glossary');
+const { detectLanguage, languageName } = require('../utils/language');
+
+// 번역 대상으로 지원하는 언어
+const TRANSLATION_TARGETS = ['ko', 'ja', 'en', 'zh'];
+
+// 번역 프롬프트에 쓰는 언어 이름
+const LANGUAGE_LABELS_KO = {
+  ko: '한국어',
+  en: '영어',
+  ja: '일본어',
+  zh: '중국어',
+  fr: '프랑스어',
+  de: '독일어',
+  es: '스페인어'
+};
 
 class AIService {
   constructor() {
-    this.openaiApiKey = process.env.OPENAI_API_KEY;
-    this.cache = new Map();
+    // LLM 제공자 (LLM_PROVIDER 설정, 없으면 null → 기본 처리)
+    try {
+      this.provider = createProvider();
+    } catch (error) {
+      logger.error('LLM provider configuration invalid, using basic mode:', error.message);
+      this.provider = null;
+    }
     this.requestCount = 0;
     this.maxRequestsPerMinute = 50;
     this.lastResetTime = Date.now();
+    // 추출된 기사 전문이 프롬프트를 과도하게 키우지 않도록 자르는 길이
+    this.maxInputChars = 6000;
   }
 
-  async translateToKorean(text, retries = 2) {
+  // source: 원문 언어 코드 (없으면 감지)
+  async translateToKorean(text, { source, section } = {}, retries = 2) {
+    return this.translate(text, { source, target: 'ko', section }, retries);
+  }
+
+  // 일반 번역: target은 TRANSLATION_TARGETS 중 하나, source가 없으면 감지
+  // section: 사용량 집계용 섹션 (선택)
+  async translate(text, { source, target = 'ko', section } = {}, retries = 2) {
     if (!text || text.trim().length === 0) return '';
     
-    // Simple Korean detection
-    if (this.isKorean(text)) return text;
+    const sourceLanguage = source || detectLanguage(text);
+    if (sourceLanguage === target) return text;
     
-    const cacheKey = `translate:${text.substring(0, 50)}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
-    }
+    // Fallback: Simple text processing for common English patterns
+    // (영어→한국어 용어집 치환 외에는 원문 유지)
+    const fallback = () => sourceLanguage === 'en' && target === 'ko' ? this.basicTranslation(text, { section }) : text;
+    if (!this.provider) return fallback();
+
+    // 용어집은 한국어 결과에만 적용 (캐시된 번역에도 최신 용어집을 반영)
+    await glossary.ensureLoaded();
+    const enforce = (result) => target === 'ko' ? glossary.apply(result, { section }) : result;
+
+    const variant = `${this.provider.model}|${sourceLanguage}|${target}`;
+    const cached = await aiCache.get('translation', text, variant);
+    if (cached) return enforce(cached);
+
+    if (!this.useLLM('translate')) return fallback();
 
     try {
       // Rate limiting
@@ -28,114 +70,70 @@ class AIService {
         return text; // Return original text if rate limited
       }
 
-      let translated;
-      
-      if (this.openaiApiKey) {
-        translated = await this.translateWithOpenAI(text);
-      } else {
-        // Fallback: Simple text processing for common English patterns
-        translated = await this.basicTranslation(text);
-      }
+      const translated = await this.translateWithLLM(text, sourceLanguage, target, section);
+      await aiCache.set('translation', text, variant, translated);
 
-      // Cache the result
-      this.cache.set(cacheKey, translated);
-      
-      // Limit cache size
-      if (this.cache.size > 1000) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
-      }
-
-      return translated;
+      return enforce(translated);
 
     } catch (error) {
       logger.warn('Translation failed:', error.message);
       
       if (retries > 0) {
         await new Promise(resolve => setTimeout(resolve, 1000));
-        return this.translateToKorean(text, retries - 1);
+        return this.translate(text, { source: sourceLanguage, target, section }, retries - 1);
       }
       
       return text; // Return original text on failure
     }
   }
 
-  async translateWithOpenAI(text) {
-    try {
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '당신은 뉴스 번역 전문가입니다. 영어 뉴스 제목과 요약문을 자연스럽고 정확한 한국어로 번역하세요. 뉴스의 톤과 중요성을 유지하면서 한국 독자가 이해하기 쉽게 번역해주세요.'
-          },
-          {
-            role: 'user',
-            content: `다음 텍스트를 한국어로 번역해주세요:\n\n${text}`
-          }
-        ],
-        max_tokens: 200,
-        temperature: 0.3
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-
-      this.requestCount++;
-      return response.data.choices[0].message.content.trim();
-
-    } catch (error) {
-      if (error.response?.status === 429) {
-        logger.warn('OpenAI rate limit exceeded');
-        throw new Error('Rate limit exceeded');
+  async translateWithLLM(text, sourceLanguage = 'en', target = 'ko', section) {
+    const sourceLabel = LANGUAGE_LABELS_KO[sourceLanguage] || languageName(sourceLanguage);
+    const targetLabel = LANGUAGE_LABELS_KO[target] || languageName(target);
+    const terms = target === 'ko' ? glossary.promptHint(glossary.relevant(text, section)) : '';
+
+    return this.chat([
+      {
+        role: 'system',
+        content: `당신은 뉴스 번역 전문가입니다. ${sourceLabel} 뉴스 제목과 요약문을 자연스럽고 정확한 ${targetLabel}로 번역하세요. 뉴스의 톤과 중요성을 유지하면서 ${targetLabel} 독자가 이해하기 쉽게 번역해주세요. 번역문만 출력하세요.${terms}`
+      },
+      {
+        role: 'user',
+        content: `다음 ${sourceLabel} 텍스트를 ${targetLabel}로 번역해주세요:\n\n${text.substring(0, this.maxInputChars)}`
       }
-      throw error;
-    }
+    ], {
+      // 제목/요약문은 짧게, 기사 전문은 길이에 맞춰 응답 토큰을 늘림
+      maxTokens: Math.min(2000, Math.max(200, Math.ceil(text.length / 2))),
+      temperature: 0.3,
+      operation: 'translate',
+      section
+    });
   }
 
-  async basicTranslation(text) {
-    // Very basic translation for common news terms
-    const translations = {
-      'Breaking News': '속보',
-      'BREAKING': '속보',
-      'UPDATE': '업데이트',
-      'URGENT': '긴급',
-      'President': '대통령',
-      'Government': '정부',
-      'Election': '선거',
-      'Economy': '경제',
-      'Technology': '기술',
-      'Health': '건강',
-      'Climate': '기후',
-      'Ukraine': '우크라이나',
-      'Russia': '러시아',
-      'China': '중국',
-      'Japan': '일본',
-      'North Korea': '북한',
-      'South Korea': '한국',
-      'United States': '미국',
-      'Europe': '유럽'
-    };
-
-    let translated = text;
-    for (const [en, ko] of Object.entries(translations)) {
-      translated = translated.replace(new RegExp(en, 'gi'), ko);
-    }
-
-    return translated;
+  // 용어집(src/config/glossary.json + 관리자 API로 추가한 항목) 치환
+  async basicTranslation(text, { section } = {}) {
+    await glossary.ensureLoaded();
+    return glossary.apply(text, { section });
   }
 
-  async generateSummaryPoints(text, maxPoints = 3) {
+  async generateSummaryPoints(text, maxPoints = 3, { section } = {}) {
     if (!text || text.trim().length === 0) return ['내용 없음'];
 
+    await glossary.ensureLoaded();
+    const enforce = (points) => points.map(point => glossary.apply(point, { section }));
+
+    const variant = this.provider ? `${this.provider.model}|${maxPoints}` : null;
+    if (variant) {
+      const cached = await aiCache.get('summary', text, variant);
+      if (cached) return enforce(cached);
+    }
+
     try {
-      if (this.openaiApiKey && this.canMakeRequest()) {
-        const points = await this.generateSummaryWithOpenAI(text, maxPoints);
+      if (this.useLLM('summarize') && this.canMakeRequest()) {
+        const points = await this.generateSummaryWithLLM(text, maxPoints, section);
         if (points && points.length > 0) {
-          return points;
+          await aiCache.set('summary', text, variant, points);
+          return enforce(points);
         }
       }
 
@@ -148,46 +146,27 @@ class AIService {
     }
   }
 
-  async generateSummaryWithOpenAI(text, maxPoints) {
-    try {
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: `당신은 뉴스 요약 전문가입니다. 주어진 뉴스 내용을 ${maxPoints}개의 핵심 포인트로 요약해주세요. 각 포인트는 한 줄로, 중요한 사실과 숫자를 포함해야 합니다.`
-          },
-          {
-            role: 'user',
-            content: `다음 뉴스를 ${maxPoints}개의 핵심 포인트로 요약해주세요:\n\n${text}`
-          }
-        ],
-        max_tokens: 300,
-        temperature: 0.3
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-
-      this.requestCount++;
-      const content = response.data.choices[0].message.content.trim();
-      
-      // Parse the response into an array
-      const points = content
-        .split('\n')
-        .filter(line => line.trim().length > 0)
-        .map(line => line.replace(/^\d+\.\s*/, '').replace(/^-\s*/, '').trim())
-        .filter(point => point.length > 10)
-        .slice(0, maxPoints);
+  async generateSummaryWithLLM(text, maxPoints, section) {
+    const content = await this.chat([
+      {
+        role: 'system',
+        content: `당신은 뉴스 요약 전문가입니다. 주어진 뉴스 내용을 ${maxPoints}개의 핵심 포인트로 요약해주세요. 각 포인트는 한 줄로, 중요한 사실과 숫자를 포함해야 합니다.${glossary.promptHint(glossary.relevant(text, section))}`
+      },
+      {
+        role: 'user',
+        content: `다음 뉴스를 ${maxPoints}개의 핵심 포인트로 요약해주세요:\n\n${text.substring(0, this.maxInputChars)}`
+      }
+    ], { maxTokens: 300, temperature: 0.3, operation: 'summarize', section });
 
-      return points.length > 0 ? points : [content];
+    // Parse the response into an array
+    const points = content
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => line.replace(/^\d+\.\s*/, '').replace(/^-\s*/, '').trim())
+      .filter(point => point.length > 10)
+      .slice(0, maxPoints);
 
-    } catch (error) {
-      throw error;
-    }
+    return points.length > 0 ? points : [content];
   }
 
   extractKeySentences(text, maxPoints) {
@@ -212,12 +191,23 @@ class AIService {
     });
   }
 
-  async generateDetailedSummary(article) {
+  async generateDetailedSummary(article, { section } = {}) {
     if (!article || !article.content) return '';
 
+    const input = `${article.title || ''}\n${article.content}`;
+    await glossary.ensureLoaded();
+
+    const variant = this.provider ? this.provider.model : null;
+    if (variant) {
+      const cached = await aiCache.get('detailed', input, variant);
+      if (cached) return glossary.apply(cached, { section });
+    }
+
     try {
-      if (this.openaiApiKey && this.canMakeRequest()) {
-        return await this.generateDetailedSummaryWithOpenAI(article);
+      if (this.useLLM('detailed') && this.canMakeRequest()) {
+        const summary = await this.generateDetailedSummaryWithLLM(article, section);
+        await aiCache.set('detailed', input, variant, summary);
+        return glossary.apply(summary, { section });
       }
 
       // Fallback: Return processed content
@@ -229,38 +219,444 @@ class AIService {
     }
   }
 
-  async generateDetailedSummaryWithOpenAI(article) {
+  // 상세 요약 스트리밍 (SSE용): 생성되는 조각마다 onDelta(text)를 호출하고 최종 결과를 돌려준다
+  // → { summary, cached, source: 'cache'|'llm'|'basic' }
+  // 캐시가 있으면 조각 없이 바로 반환하고, 스트리밍이 끝난 요약은 generateDetailedSummary와 같은 캐시에 저장
+  // signal: 클라이언트 연결이 끊기면 제공자 요청을 중단하기 위한 AbortSignal
+  async streamDetailedSummary(article, { section, onDelta = () => {}, signal } = {}) {
+    const content = article.content || article.description || '';
+    const input = `${article.title || ''}\n${content}`;
+    await glossary.ensureLoaded();
+
+    const variant = this.provider ? this.provider.model : null;
+    if (variant) {
+      const cached = await aiCache.get('detailed', input, variant);
+      if (cached) return { summary: glossary.apply(cached, { section }), cached: true, source: 'cache' };
+    }
+
+    try {
+      if (content && this.useLLM('detailed') && this.canMakeRequest()) {
+        const summary = await this.generateDetailedSummaryWithLLM({ ...article, content }, section, { onDelta, signal });
+        await aiCache.set('detailed', input, variant, summary);
+        return { summary: glossary.apply(summary, { section }), cached: false, source: 'llm' };
+      }
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      logger.warn('Detailed summary stream failed:', error.message);
+    }
+
+    // 기본 처리는 한 조각으로 전달 (이미 보낸 조각이 있어도 최종 결과가 우선)
+    const summary = this.processContent(content);
+    onDelta(summary);
+    return { summary, cached: false, source: 'basic' };
+  }
+
+  // stream: { onDelta, signal }이 주어지면 제공자 스트리밍으로 요청
+  async generateDetailedSummaryWithLLM(article, section, stream = {}) {
+    return this.chat([
+      {
+        role: 'system',
+        content: `당신은 뉴스 분석 전문가입니다. 주어진 뉴스 기사를 바탕으로 상세하고 객관적인 요약을 작성해주세요. 주요 사실, 배경 정보, 영향을 포함해야 합니다.${glossary.promptHint(glossary.relevant(`${article.title}\n${article.content || article.description}`, section))}`
+      },
+      {
+        role: 'user',
+        content: `다음 뉴스 기사를 상세히 요약해주세요:\n\n제목: ${article.title}\n\n내용: ${(article.content || article.description).substring(0, this.maxInputChars)}`
+      }
+    ], { maxTokens: 500, temperature: 0.4, operation: 'detailed', section, ...stream });
+  }
+
+  // 여러 기사를 한 번의 구조화(JSON) 프롬프트로 번역·요약
+  // articles: [{ id, title, description, content, language, section }]
+  // → 같은 순서의 [{ titleKo, descriptionKo, summaryPoints, detailedSummary, entities } | null] (null이면 응답에서 빠진 기사)
+  // entities: true면 인물·기관·장소·종목 목록([{ name, type }])도 함께 요청
+  // sentiment: true면 감성 점수(-1~1)와 어조도 함께 요청
+  async enrichArticles(articles, { entities = false, sentiment = false } = {}) {
+    if (!this.provider) {
+      return Promise.all(articles.map(article => this.basicEnrichment(article)));
+    }
+
+    await glossary.ensureLoaded();
+    const variant = [this.provider.model, entities && 'entities', sentiment && 'sentiment'].filter(Boolean).join('|');
+    const inputOf = (article) => `${article.language}\n${article.title}\n${article.description}\n${article.content}`;
+    const results = await Promise.all(articles.map(article => aiCache.get('enrichment', inputOf(article), variant)));
+    const misses = articles.filter((article, index) => !results[index]);
+    if (misses.length === 0) {
+      return results.map((result, index) => this.enforceGlossary(result, articles[index].section));
+    }
+
+    // 오늘 예산을 다 썼으면 캐시에 없는 기사만 기본 처리
+    if (!this.useLLM('enrich')) {
+      return Promise.all(articles.map((article, index) => results[index] || this.basicEnrichment(article)));
+    }
+
+    if (!this.canMakeRequest()) {
+      throw new Error('Rate limit exceeded');
+    }
+
+    const entityInstruction = entities
+      ? ' 기사에 등장하는 인물·기관·장소·종목은 entities에 {"name":"원문 표기","type":"person|organization|place|ticker"} 형태로 넣으세요.'
+      : '';
+    const sentimentInstruction = sentiment
+      ? ' 기사 논조는 sentiment(-1 매우 부정 ~ 1 매우 긍정 숫자)와 tone(alarming, optimistic, cautious, neutral 중 하나)으로 평가하세요.'
+      : '';
+    const terms = glossary.promptHint(misses.flatMap(article =>
+      glossary.relevant(`${article.title}\n${article.description}\n${article.content}`, article.section)
+    ));
+
+    const content = await this.chat([
+      {
+        role: 'system',
+        content: `당신은 뉴스 편집자입니다. 입력 JSON의 각 기사에 대해 한국어 제목(titleKo), 한국어 설명(descriptionKo), 한 줄짜리 핵심 포인트 3개(summaryPoints), 주요 사실·배경·영향을 담은 3~5문장 상세 요약(detailedSummary)을 작성하세요. 원문이 한국어면 제목과 설명은 그대로 두세요.${entityInstruction}${sentimentInstruction} {"articles":[{"id":"...","titleKo":"...","descriptionKo":"...","summaryPoints":["..."],"detailedSummary":"..."${entities ? ',"entities":[]' : ''}${sentiment ? ',"sentiment":0,"tone":"neutral"' : ''}}]} 형식의 JSON만 출력하세요.${terms}`
+      },
+      {
+        role: 'user',
+        content: `다음 기사들을 처리해주세요:\n\n${JSON.stringify({
+          articles: misses.map(article => ({
+            id: article.id,
+            language: article.language,
+            title: article.title,
+            description: article.description,
+            content: (article.content || '').substring(0, 1500)
+          }))
+        })}`
+      }
+    ], {
+      maxTokens: Math.min(this.provider.maxOutputTokens, 200 + misses.length * 500),
+      temperature: 0.3,
+      json: true,
+      operation: 'enrich',
+      sections: misses.map(article => article.section).filter(Boolean)
+    });
+
+    const parsed = this.parseEnrichment(content, misses);
+    await Promise.all(misses.map(article => {
+      const result = parsed.get(article.id);
+      return result ? aiCache.set('enrichment', inputOf(article), variant, result) : null;
+    }));
+
+    return articles.map((article, index) =>
+      this.enforceGlossary(results[index] || parsed.get(article.id) || null, article.section)
+    );
+  }
+
+  // 보강 결과의 한국어 필드에 용어집 표기 적용
+  enforceGlossary(result, section) {
+    if (!result) return result;
+    return {
+      ...result,
+      titleKo: glossary.apply(result.titleKo, { section }),
+      descriptionKo: glossary.apply(result.descriptionKo, { section }),
+      summaryPoints: result.summaryPoints.map(point => glossary.apply(point, { section })),
+      detailedSummary: glossary.apply(result.detailedSummary, { section })
+    };
+  }
+
+  // 응답 JSON을 기사 ID별 결과로 변환 (빠진 필드는 원문/문장 추출로 보충)
+  parseEnrichment(content, articles) {
+    const parsed = new Map();
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return parsed;
+
+    let entries;
+    try {
+      entries = JSON.parse(match[0]).articles;
+    } catch (error) {
+      logger.warn('Enrichment response is not valid JSON:', error.message);
+      return parsed;
+    }
+    if (!Array.isArray(entries)) return parsed;
+
+    const byId = new Map(articles.map(article => [article.id, article]));
+    entries.forEach(entry => {
+      const article = entry && byId.get(entry.id);
+      if (!article) return;
+
+      const points = Array.isArray(entry.summaryPoints)
+        ? entry.summaryPoints.map(point => String(point).trim()).filter(Boolean)
+        : [];
+
+      parsed.set(article.id, {
+        titleKo: entry.titleKo || article.title,
+        descriptionKo: entry.descriptionKo || article.description,
+        summaryPoints: points.length > 0 ? points : this.extractKeySentences(article.content || article.description, 3),
+        detailedSummary: entry.detailedSummary || this.processContent(article.content || article.description),
+        entities: Array.isArray(entry.entities) ? entry.entities : [],
+        sentiment: entry.sentiment,
+        tone: entry.tone
+      });
+    });
+
+    return parsed;
+  }
+
+  // LLM 없이 만드는 보강 결과 (영어 사전 치환 + 문장 추출)
+  async basicEnrichment(article) {
+    const body = article.content || article.description || '';
+    const english = article.language === 'en';
+
+    return {
+      titleKo: english ? await this.basicTranslation(article.title || '', { section: article.section }) : article.title,
+      descriptionKo: english ? await this.basicTranslation(article.description || '', { section: article.section }) : article.description,
+      summaryPoints: body ? this.extractKeySentences(body, 3) : [],
+      detailedSummary: this.processContent(body),
+      entities: []
+    };
+  }
+
+  // 섹션 브리핑: 여러 스토리를 한 번의 JSON 프롬프트로 각각 두 줄 요약하고 전체 도입문을 작성
+  // stories: [{ id, title, titleKo, description, descriptionKo, summaryPoints, sources }]
+  // heading: 도입문에 쓸 브리핑 이름 (예: "경제 아침 브리핑")
+  // → { intro, summaries: { [id]: [줄, 줄] }, source: 'llm'|'basic' }
+  async generateBriefing(stories, { section, heading } = {}) {
+    await glossary.ensureLoaded();
+    if (stories.length === 0 || !this.useLLM('briefing') || !this.canMakeRequest()) {
+      return this.basicBriefing(stories, { section, heading });
+    }
+
+    const inputs = stories.map(story => ({
+      id: story.id,
+      title: story.titleKo && story.titleKo !== story.title ? `${story.title} (${story.titleKo})` : story.title,
+      description: (story.descriptionKo || story.description || '').substring(0, 600),
+      points: story.summaryPoints || [],
+      sources: story.sources
+    }));
+    const variant = `${this.provider.model}|${heading}`;
+    const input = JSON.stringify(inputs);
+
+    const cached = await aiCache.get('briefing', input, variant);
+    if (cached) return this.enforceBriefing(cached, section);
+
     try {
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '당신은 뉴스 분석 전문가입니다. 주어진 뉴스 기사를 바탕으로 상세하고 객관적인 요약을 작성해주세요. 주요 사실, 배경 정보, 영향을 포함해야 합니다.'
-          },
-          {
-            role: 'user',
-            content: `다음 뉴스 기사를 상세히 요약해주세요:\n\n제목: ${article.title}\n\n내용: ${article.content || article.description}`
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.4
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
+      const terms = glossary.promptHint(glossary.relevant(inputs.map(story => `${story.title}\n${story.description}`).join('\n'), section));
+      const content = await this.chat([
+        {
+          role: 'system',
+          content: `당신은 뉴스 편집장입니다. "${heading}"을 작성합니다. 입력 JSON의 각 스토리를 한국어 두 줄(lines, 각 줄은 한 문장)로 요약하고, 오늘의 흐름을 2~3문장으로 소개하는 도입문(intro)을 쓰세요. 입력에 없는 사실은 덧붙이지 마세요. {"intro":"...","stories":[{"id":"...","lines":["...","..."]}]} 형식의 JSON만 출력하세요.${terms}`
         },
-        timeout: 15000
+        {
+          role: 'user',
+          content: `다음 스토리로 브리핑을 작성해주세요:\n\n${JSON.stringify({ stories: inputs })}`
+        }
+      ], {
+        maxTokens: Math.min(this.provider.maxOutputTokens, 300 + stories.length * 200),
+        temperature: 0.3,
+        json: true,
+        operation: 'briefing',
+        section
       });
 
+      const parsed = this.parseBriefing(content, stories);
+      if (parsed) {
+        await aiCache.set('briefing', input, variant, parsed);
+        return this.enforceBriefing(parsed, section);
+      }
+    } catch (error) {
+      logger.warn('Briefing generation failed:', error.message);
+    }
+
+    return this.basicBriefing(stories, { section, heading });
+  }
+
+  // 응답 JSON을 스토리별 두 줄 요약으로 (빠진 스토리는 문장 추출로 보충)
+  parseBriefing(content, stories) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+
+    let data;
+    try {
+      data = JSON.parse(match[0]);
+    } catch (error) {
+      logger.warn('Briefing response was not valid JSON:', error.message);
+      return null;
+    }
+
+    const intro = typeof data.intro === 'string' ? data.intro.trim() : '';
+    if (!intro) return null;
+
+    const lines = new Map((Array.isArray(data.stories) ? data.stories : [])
+      .filter(entry => entry && entry.id && Array.isArray(entry.lines))
+      .map(entry => [String(entry.id), entry.lines.map(line => String(line).trim()).filter(Boolean).slice(0, 2)]));
+
+    return {
+      intro,
+      summaries: Object.fromEntries(stories.map(story => [
+        story.id,
+        (lines.get(story.id) || []).length > 0 ? lines.get(story.id) : this.briefingLines(story)
+      ])),
+      source: 'llm'
+    };
+  }
+
+  enforceBriefing(result, section) {
+    return {
+      ...result,
+      intro: glossary.apply(result.intro, { section }),
+      summaries: Object.fromEntries(Object.entries(result.summaries).map(([id, lines]) => [
+        id,
+        lines.map(line => glossary.apply(line, { section }))
+      ]))
+    };
+  }
+
+  // LLM 없이 만드는 브리핑 (요약 포인트나 설명 문장 두 개)
+  basicBriefing(stories, { section, heading } = {}) {
+    return {
+      intro: `${heading}입니다. 주요 뉴스 ${stories.length}건을 정리했습니다.`,
+      summaries: Object.fromEntries(stories.map(story => [
+        story.id,
+        this.briefingLines(story).map(line => glossary.apply(line, { section }))
+      ])),
+      source: 'basic'
+    };
+  }
+
+  briefingLines(story) {
+    const points = (story.summaryPoints || []).filter(Boolean);
+    if (points.length > 0) return points.slice(0, 2);
+
+    const text = story.descriptionKo || story.description;
+    return text ? this.extractKeySentences(text, 2) : [story.titleKo || story.title];
+  }
+
+  // 저장된 기사 질의응답: 검색된 기사만 근거로 답하고 인용한 기사 ID를 돌려준다
+  // articles: [{ id, title, source, publishedAt, text }]
+  // → { answer, citations: [id], supported } | null (LLM을 쓸 수 없으면 null → 호출 측에서 대체)
+  async answerQuestion(question, articles, { section } = {}) {
+    if (!this.useLLM('answer') || !this.canMakeRequest()) return null;
+
+    const variant = this.provider.model;
+    const input = `${question}\n${articles.map(article => `${article.id}\n${article.title}\n${article.text}`).join('\n')}`;
+    const cached = await aiCache.get('answer', input, variant);
+    if (cached) return cached;
+
+    const content = await this.chat([
+      {
+        role: 'system',
+        content: '당신은 뉴스 데스크의 리서처입니다. 아래 제공된 기사에 있는 내용만으로 질문에 답하세요. 기사에 없는 사실은 추측하거나 덧붙이지 마세요. 근거가 된 문장 끝에는 [기사ID]를 붙이세요. 질문과 같은 언어로 3~5문장 이내로 답하세요. 제공된 기사로 답할 수 없으면 supported를 false로 하세요. {"answer":"...","citations":["기사ID"],"supported":true} 형식의 JSON만 출력하세요.'
+      },
+      {
+        role: 'user',
+        content: `질문: ${question}\n\n기사:\n${JSON.stringify(articles)}`
+      }
+    ], { maxTokens: 600, temperature: 0.2, json: true, operation: 'answer', section });
+
+    const parsed = this.parseAnswer(content, articles);
+    if (parsed) await aiCache.set('answer', input, variant, parsed);
+    return parsed;
+  }
+
+  // 응답 JSON 검증: 제공한 기사 ID만 인용으로 인정하고, 인용이 없으면 근거 없음으로 처리
+  parseAnswer(content, articles) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+
+    let data;
+    try {
+      data = JSON.parse(match[0]);
+    } catch (error) {
+      logger.warn('Answer response was not valid JSON:', error.message);
+      return null;
+    }
+
+    // 제공하지 않은 기사 ID 표기는 답변에서 제거
+    const ids = new Set(articles.map(article => article.id));
+    const answer = String(data.answer || '')
+      .replace(/\s*\[([a-f0-9]{16})\]/g, (marker, id) => (ids.has(id) ? marker : ''))
+      .trim();
+    const inline = Array.from(answer.matchAll(/\[([a-f0-9]{16})\]/g), m => m[1]);
+    const citations = [...new Set([...[].concat(data.citations || []).map(String), ...inline])].filter(id => ids.has(id));
+    const supported = data.supported !== false && answer.length > 0 && citations.length > 0;
+
+    return supported
+      ? { answer, citations, supported }
+      : { answer: '', citations: [], supported: false };
+  }
+
+  // 스토리 타임라인용: 이전 보도 대비 새 보도에서 달라진 점을 한 줄로 요약
+  async generateStoryDelta(previous, current, { section } = {}) {
+    if (!previous || !current) return '';
+
+    try {
+      if (this.useLLM('delta') && this.canMakeRequest()) {
+        return await this.generateStoryDeltaWithLLM(previous, current, section);
+      }
+
+      return this.basicStoryDelta(previous, current);
+
+    } catch (error) {
+      logger.warn('Story delta generation failed:', error.message);
+      return this.basicStoryDelta(previous, current);
+    }
+  }
+
+  async generateStoryDeltaWithLLM(previous, current, section) {
+    const describe = (entry) => `${entry.title}\n${(entry.description || '').substring(0, 500)}`;
+
+    const content = await this.chat([
+      {
+        role: 'system',
+        content: `당신은 뉴스 편집자입니다. 같은 사건에 대한 이전 보도와 새 보도를 비교해 새로 밝혀지거나 달라진 점만 한국어 한 문장(60자 이내)으로 쓰세요. 달라진 점이 없으면 "새로운 내용 없음"이라고 쓰세요.${glossary.promptHint(glossary.relevant(describe(current), section))}`
+      },
+      {
+        role: 'user',
+        content: `이전 보도:\n${describe(previous)}\n\n새 보도:\n${describe(current)}`
+      }
+    ], { maxTokens: 100, temperature: 0.2, operation: 'delta', section });
+
+    return glossary.apply(content.split('\n')[0], { section });
+  }
+
+  // Fallback: 이전 보도에 없던 단어를 나열
+  basicStoryDelta(previous, current) {
+    const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+    const known = new Set(words(`${previous.title} ${previous.description}`));
+    const added = [...new Set(words(current.title))].filter(word => !known.has(word)).slice(0, 5);
+
+    return added.length > 0
+      ? `새로 언급된 내용: ${added.join(', ')}`
+      : `${current.source || '다른 매체'} 추가 보도`;
+  }
+
+  // 설정된 LLM 제공자로 요청 (분당 요청 수, 토큰·비용 집계 포함)
+  // operation: 집계용 작업 이름, section/sections: 비용을 나눠 가질 섹션
+  // onDelta가 있으면 스트리밍 요청 (조각마다 호출, 반환값은 전체 응답)
+  async chat(messages, { operation = 'other', section, sections, onDelta, ...options } = {}) {
+    try {
+      const result = onDelta
+        ? await this.provider.stream(messages, options, onDelta)
+        : await this.provider.chat(messages, options);
       this.requestCount++;
-      return response.data.choices[0].message.content.trim();
+
+      await aiUsage.record({
+        operation,
+        sections: sections || (section ? [section] : []),
+        model: result.model,
+        usage: result.usage,
+        cost: this.provider.estimateCost(result.usage)
+      });
+
+      return result.content;
 
     } catch (error) {
+      if (error.response?.status === 429) {
+        logger.warn(`LLM rate limit exceeded (${this.provider.name})`);
+        throw new Error('Rate limit exceeded');
+      }
       throw error;
     }
   }
 
+  // LLM을 써도 되는지 (제공자가 있고 오늘 예산이 남아 있을 때)
+  // 예산 때문에 기본 처리로 대체하면 작업별로 기록
+  useLLM(operation) {
+    if (!this.provider) return false;
+    if (aiUsage.isBudgetExhausted()) {
+      aiUsage.recordDegraded(operation).catch(() => {});
+      return false;
+    }
+    return true;
+  }
+
   processContent(content) {
     if (!content) return '';
     
@@ -300,18 +696,21 @@ class AIService {
   // Health check method
   getStatus() {
     return {
-      hasOpenAI: !!this.openaiApiKey,
+      hasOpenAI: !!this.provider && this.provider.name === 'openai',
+      provider: this.provider ? this.provider.describe() : null,
       requestCount: this.requestCount,
-      cacheSize: this.cache.size,
+      cache: aiCache.getStats(),
+      usage: aiUsage.getStatus(),
       canMakeRequest: this.canMakeRequest()
     };
   }
 
   // Clear cache method
   clearCache() {
-    this.cache.clear();
+    aiCache.clearMemory();
     logger.info('AI service cache cleared');
   }
 }
 
 module.exports = new AIService();
+module.exports.TRANSLATION_TARGETS = TRANSLATION_TARGETS;
@@ -0,0 +1,268 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const { redis } = require('../config/database');
+const { articleId, httpUrl } = require('../utils/url');
+const { createLimiter } = require('../utils/concurrency');
+
+const CACHE_TTL = 7 * 24 * 60 * 60; // 7 days
+const FAILURE_TTL = 60 * 60; // 1 hour
+const MEMORY_LIMIT = 500;
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// 광고/댓글/공유 영역 등 본문이 아닐 가능성이 높은 class/id (readability 규칙 참고)
+const UNLIKELY = /-ad-|ad-break|adbox|advert|banner|breadcrumb|combx|comment|community|cookie|disqus|footer|gdpr|header|menu|nav|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|popup|subscribe|newsletter|share|recommend|copyright|reporter-list|tag-list/i;
+const MAYBE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|main|page|post|text|story|news_body|view_cont/i;
+const NEGATIVE = /comment|meta|footer|footnote|sidebar|widget|promo|related|caption|byline|author/i;
+const BOILERPLATE = /무단\s*전재|재배포\s*금지|저작권자|copyright|all rights reserved|subscribe to|sign up for|cookie|기자\s*[a-z0-9._%+-]+@|無断転載/i;
+
+// 기사 본문 추출기
+// 발행사 페이지를 받아 광고·메뉴 같은 부가 영역을 걷어내고 본문, 바이라인, 대표 이미지를 뽑는다.
+// ARTICLE_EXTRACTION=true일 때만 수집 과정에서 사용되며, 결과는 URL별로 캐시된다.
+class ArticleExtractor {
+  constructor() {
+    this.enabled = process.env.ARTICLE_EXTRACTION === 'true';
+    this.timeout = parseInt(process.env.ARTICLE_EXTRACTION_TIMEOUT) || 8000;
+    this.limit = createLimiter(parseInt(process.env.ARTICLE_EXTRACTION_CONCURRENCY) || 4);
+    this.memory = new Map();
+    this.stats = { extracted: 0, cached: 0, failed: 0 };
+  }
+
+  async extract(url) {
+    const cacheKey = `extract:${articleId(url)}`;
+
+    const cached = await this.getCached(cacheKey);
+    if (cached) {
+      this.stats.cached++;
+      return cached.failed ? null : cached;
+    }
+
+    try {
+      const html = await this.limit(() => this.download(url));
+      const result = this.parse(html, url);
+
+      if (!result.text) {
+        throw new Error('No article body found');
+      }
+
+      this.stats.extracted++;
+      await this.setCached(cacheKey, result, CACHE_TTL);
+      return result;
+
+    } catch (error) {
+      this.stats.failed++;
+      logger.warn(`Article extraction failed for ${url}:`, error.message);
+      await this.setCached(cacheKey, { failed: true }, FAILURE_TTL);
+      return null;
+    }
+  }
+
+  async download(url) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: 5 * 1024 * 1024,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; EmarkNews/7.0; +https://emarknews.com)',
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !/html/i.test(contentType)) {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    return this.decode(Buffer.from(response.data), contentType);
+  }
+
+  // EUC-KR, Shift_JIS 등 UTF-8이 아닌 한국/일본 언론사 페이지 처리
+  decode(buffer, contentType) {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const charset = (contentType.match(/charset=([\w-]+)/i) || head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+
+    try {
+      return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (error) {
+      return buffer.toString('utf8');
+    }
+  }
+
+  parse(html, url) {
+    const $ = cheerio.load(html);
+    const meta = (selector) => $(selector).first().attr('content')?.trim() || null;
+
+    const result = {
+      url,
+      title: meta('meta[property="og:title"]') || $('title').first().text().trim() || null,
+      byline: this.findByline($, meta),
+      leadImage: this.absoluteUrl(meta('meta[property="og:image"]') || meta('meta[name="twitter:image"]'), url),
+      publishedAt: meta('meta[property="article:published_time"]'),
+      text: '',
+      excerpt: '',
+      length: 0,
+      extractedAt: new Date().toISOString()
+    };
+
+    $('script, style, noscript, iframe, svg, form, button, nav, header, footer, aside, [role="navigation"], [aria-hidden="true"]').remove();
+    $('*').each((index, element) => {
+      const signature = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+      if (element.tagName !== 'body' && element.tagName !== 'html' && UNLIKELY.test(signature) && !MAYBE.test(signature)) {
+        $(element).remove();
+      }
+    });
+
+    const candidate = this.findTopCandidate($);
+    if (!candidate) return result;
+
+    const paragraphs = this.collectParagraphs($, candidate);
+    result.text = paragraphs.join('\n\n');
+    result.excerpt = paragraphs[0] ? paragraphs[0].slice(0, 200) : '';
+    result.length = result.text.length;
+
+    if (!result.leadImage) {
+      result.leadImage = this.absoluteUrl(candidate.find('img[src]').first().attr('src'), url);
+    }
+
+    return result;
+  }
+
+  findByline($, meta) {
+    const fromMeta = meta('meta[name="author"]') || meta('meta[property="article:author"]');
+    if (fromMeta && !/^https?:\/\//.test(fromMeta)) return fromMeta;
+
+    const element = $('[rel="author"], [itemprop="author"], .byline, .author').first();
+    const text = element.text().replace(/\s+/g, ' ').trim();
+    return text && text.length < 100 ? text : null;
+  }
+
+  // 문단 텍스트 길이와 쉼표 수로 상위 요소에 점수를 주고, 링크 비율로 보정해 본문 컨테이너를 고른다
+  findTopCandidate($) {
+    const scores = new Map();
+
+    const initialScore = (element) => {
+      const signature = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+      let score = 0;
+      if (POSITIVE.test(signature)) score += 25;
+      if (NEGATIVE.test(signature)) score -= 25;
+      if (element.tagName === 'article' || $(element).attr('itemprop') === 'articleBody') score += 30;
+      return score;
+    };
+
+    const addScore = (element, value) => {
+      if (!element || element.type !== 'tag') return;
+      if (!scores.has(element)) scores.set(element, initialScore(element));
+      scores.set(element, scores.get(element) + value);
+    };
+
+    // <p>가 없는 한국 언론사 본문(<div>텍스트<br><br>텍스트)도 문단으로 취급
+    $('p, pre, td, div').each((index, element) => {
+      if (element.tagName === 'div' && $(element).children('p, div, table, ul, ol').length > 0) return;
+
+      const text = $(element).text().replace(/\s+/g, ' ').trim();
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+      const parent = element.parent;
+      addScore(element.tagName === 'div' ? element : parent, score);
+      if (element.tagName !== 'div') addScore(parent?.parent, score / 2);
+    });
+
+    let top = null;
+    let topScore = 0;
+    for (const [element, score] of scores) {
+      const adjusted = score * (1 - this.linkDensity($, element));
+      if (adjusted > topScore) {
+        top = element;
+        topScore = adjusted;
+      }
+    }
+
+    return top ? $(top) : null;
+  }
+
+  linkDensity($, element) {
+    const textLength = $(element).text().replace(/\s+/g, '').length;
+    if (textLength === 0) return 1;
+    const linkLength = $(element).find('a').text().replace(/\s+/g, '').length;
+    return linkLength / textLength;
+  }
+
+  collectParagraphs($, candidate) {
+    candidate.find('br').replaceWith('\n');
+
+    const blocks = [];
+    const paragraphs = candidate.find('p');
+    if (paragraphs.length > 0) {
+      paragraphs.each((index, element) => {
+        if (this.linkDensity($, element) < 0.5) blocks.push($(element).text());
+      });
+    }
+
+    // <p> 문단이 빈약하면 컨테이너 텍스트를 줄 단위로 나눠 사용
+    if (blocks.join('').length < 200) {
+      blocks.length = 0;
+      blocks.push(...candidate.text().split(/\n+/));
+    }
+
+    return blocks
+      .map(block => block.replace(/[ \t ]+/g, ' ').trim())
+      .filter(block => block.length >= MIN_PARAGRAPH_LENGTH && !BOILERPLATE.test(block));
+  }
+
+  absoluteUrl(value, base) {
+    if (!value) return null;
+    try {
+      return httpUrl(new URL(value, base).toString());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getCached(key) {
+    const entry = this.memory.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+    if (entry) this.memory.delete(key);
+
+    try {
+      const cached = await redis.get(key);
+      if (cached) {
+        const value = JSON.parse(cached);
+        this.remember(key, value, value.failed ? FAILURE_TTL : CACHE_TTL);
+        return value;
+      }
+    } catch (error) {
+      logger.warn('Extraction cache read failed:', error.message);
+    }
+    return null;
+  }
+
+  async setCached(key, value, ttl) {
+    this.remember(key, value, ttl);
+    try {
+      await redis.set(key, JSON.stringify(value), { EX: ttl });
+    } catch (error) {
+      logger.warn('Extraction cache write failed:', error.message);
+    }
+  }
+
+  // 메모리 캐시도 Redis와 같은 보관 기간을 적용 (실패 결과가 프로세스 수명 내내 남지 않도록)
+  remember(key, value, ttl) {
+    this.memory.delete(key);
+    this.memory.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    if (this.memory.size > MEMORY_LIMIT) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      cacheSize: this.memory.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ArticleExtractor();
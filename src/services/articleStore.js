@@ -0,0 +1,313 @@
+const { WatchError } = require('redis');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const { canonicalizeUrl, articleId } = require('../utils/url');
+
+const DATA_KEY = 'articles:data';
+const ALL_KEY = 'articles:all';
+const sectionKey = (section) => `articles:section:${section}`;
+const versionKey = (id) => `articles:version:${id}`;
+
+const TRACKED_FIELDS = ['title', 'description', 'urlToImage'];
+const MAX_UPDATES = 10;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MEMORY_LIMIT = 5000;
+const MAX_WRITE_ATTEMPTS = 5;
+
+// 영구 기사 저장소 (정규화 URL 기준, 키는 정규화 URL 해시인 기사 ID)
+// Redis: articles:data(HASH id→JSON), articles:all / articles:section:<section>(ZSET score=발행시각),
+// articles:version:<id>(쓸 때마다 증가, 기사 단위 WATCH용)
+// Redis가 없으면 같은 구조를 메모리에 유지한다.
+class ArticleStore {
+  constructor() {
+    this.retentionDays = parseInt(process.env.ARTICLE_RETENTION_DAYS) || 30;
+    this.memory = new Map();
+    this.lastPrune = 0;
+  }
+
+  getRedis() {
+    const client = database.getClient();
+    return client && client.isOpen ? client : null;
+  }
+
+  // 수집된 기사 저장 (처음 본 시각, 변경 이력, 섹션 소속을 유지)
+  async upsert(articles, sections) {
+    const now = new Date().toISOString();
+    const keyed = articles
+      .map(article => ({ article, key: articleId(article.url) }))
+      .filter(({ key }) => key);
+
+    const records = await this.update(keyed.map(({ key }) => key), existingRecords => keyed.map(({ article, key }, index) => {
+      const existing = existingRecords[index];
+      const { section, timeAgo, ...fields } = article;
+
+      if (!existing) {
+        return {
+          ...fields,
+          id: key,
+          canonicalUrl: canonicalizeUrl(article.url),
+          sections: [...sections],
+          firstSeenAt: now,
+          lastSeenAt: now,
+          updatedAt: now,
+          updates: []
+        };
+      }
+
+      const changed = TRACKED_FIELDS.filter(field => fields[field] && fields[field] !== existing[field]);
+      const updates = changed.length > 0
+        ? [...existing.updates, { at: now, fields: changed, previous: { title: existing.title } }].slice(-MAX_UPDATES)
+        : existing.updates;
+
+      return {
+        ...existing,
+        ...fields,
+        id: key,
+        canonicalUrl: canonicalizeUrl(article.url),
+        sections: [...new Set([...existing.sections, ...sections])],
+        firstSeenAt: existing.firstSeenAt,
+        lastSeenAt: now,
+        updatedAt: changed.length > 0 ? now : existing.updatedAt,
+        updates
+      };
+    }));
+
+    this.pruneIfDue();
+    return records.length;
+  }
+
+  // 저장된 기사를 읽어 build(기존 기록 배열) → 저장할 기록으로 바꿔 씀
+  // Redis에서는 해당 기사들의 버전 키만 WATCH하고 MULTI로 묶어, 읽은 뒤 같은 기사에 다른 쓰기
+  // (수집과 AI 보강이 같은 기사를 동시에 고치는 경우)가 끼면 다시 읽고 재시도한다.
+  // 재시도를 다 쓰거나 Redis 쓰기가 실패하면 예외를 던진다 (호출한 쪽이 다시 시도하도록).
+  async update(ids, build) {
+    const client = this.getRedis();
+    if (!client) {
+      const records = build(ids.map(id => this.memory.get(id) || null));
+      this.saveToMemory(records);
+      return records;
+    }
+
+    if (ids.length === 0) {
+      const records = build([]);
+      await this.save(records);
+      return records;
+    }
+
+    return client.executeIsolated(async isolated => {
+      for (let attempt = 1; ; attempt++) {
+        await isolated.watch(ids.map(versionKey));
+        const raw = await isolated.hmGet(DATA_KEY, ids);
+        const records = build(raw.map(item => (item ? JSON.parse(item) : null)));
+        if (records.length === 0) {
+          await isolated.unwatch();
+          return records;
+        }
+
+        const multi = isolated.multi();
+        this.queueWrites(multi, records);
+        try {
+          await multi.exec();
+          return records;
+        } catch (error) {
+          if (!(error instanceof WatchError)) throw error;
+          if (attempt >= MAX_WRITE_ATTEMPTS) {
+            throw new Error(`Article write conflicted ${MAX_WRITE_ATTEMPTS} times (${ids.length} articles)`);
+          }
+        }
+      }
+    });
+  }
+
+  async save(records) {
+    if (records.length === 0) return;
+
+    const client = this.getRedis();
+    if (!client) {
+      this.saveToMemory(records);
+      return;
+    }
+
+    try {
+      const multi = client.multi();
+      this.queueWrites(multi, records);
+      await multi.exec();
+    } catch (error) {
+      logger.warn('Article store write failed:', error.message);
+    }
+  }
+
+  queueWrites(multi, records) {
+    records.forEach(record => {
+      const score = new Date(record.publishedAt).getTime() || Date.now();
+      multi.hSet(DATA_KEY, record.id, JSON.stringify(record));
+      multi.incr(versionKey(record.id));
+      multi.zAdd(ALL_KEY, { score, value: record.id });
+      record.sections.forEach(section => {
+        multi.zAdd(sectionKey(section), { score, value: record.id });
+      });
+    });
+  }
+
+  saveToMemory(records) {
+    records.forEach(record => this.memory.set(record.id, record));
+    // 메모리 모드에서는 발행 시각이 가장 오래된 기사부터 덜어냄
+    if (this.memory.size > MEMORY_LIMIT) {
+      Array.from(this.memory.values())
+        .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt))
+        .slice(0, this.memory.size - MEMORY_LIMIT)
+        .forEach(record => this.memory.delete(record.id));
+    }
+  }
+
+  // 기존 기사에 필드를 덮어씀 (AI 보강 결과 반영용, 처음 본 시각·변경 이력은 그대로)
+  async patch(id, fields) {
+    const [record] = await this.update([id], ([existing]) => (existing ? [{ ...existing, ...fields, id }] : []));
+    return record || null;
+  }
+
+  async get(url) {
+    return this.getById(articleId(url));
+  }
+
+  async getById(key) {
+    if (!key) return null;
+    const client = this.getRedis();
+
+    if (!client) {
+      return this.memory.get(key) || null;
+    }
+
+    try {
+      const raw = await client.hGet(DATA_KEY, key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      logger.warn('Article store read failed:', error.message);
+      return null;
+    }
+  }
+
+  async getMany(keys) {
+    if (keys.length === 0) return [];
+    const client = this.getRedis();
+
+    if (!client) {
+      return keys.map(key => this.memory.get(key) || null);
+    }
+
+    try {
+      const raw = await client.hmGet(DATA_KEY, keys);
+      return raw.map(item => (item ? JSON.parse(item) : null));
+    } catch (error) {
+      logger.warn('Article store read failed:', error.message);
+      return keys.map(() => null);
+    }
+  }
+
+  // 섹션 기사 목록 (최신순), before/after는 발행 시각 기준 (ms)
+  async list(section, { before = null, after = null, limit = 100, offset = 0 } = {}) {
+    const max = before !== null ? before - 1 : Infinity;
+    const min = after !== null ? after + 1 : -Infinity;
+    const client = this.getRedis();
+
+    if (!client) {
+      const matching = Array.from(this.memory.values())
+        .filter(record => record.sections.includes(section))
+        .filter(record => {
+          const time = new Date(record.publishedAt).getTime();
+          return time >= min && time <= max;
+        })
+        .sort((a, b) => (new Date(b.publishedAt) - new Date(a.publishedAt)) || (a.id < b.id ? 1 : -1));
+
+      return { articles: matching.slice(offset, offset + limit), total: matching.length };
+    }
+
+    try {
+      const range = [max === Infinity ? '+inf' : max, min === -Infinity ? '-inf' : min];
+      const [keys, total] = await Promise.all([
+        client.zRange(sectionKey(section), range[0], range[1], {
+          BY: 'SCORE',
+          REV: true,
+          LIMIT: { offset, count: limit }
+        }),
+        client.zCount(sectionKey(section), range[1], range[0])
+      ]);
+
+      if (keys.length === 0) return { articles: [], total };
+
+      const raw = await client.hmGet(DATA_KEY, keys);
+      return {
+        articles: raw.filter(Boolean).map(item => JSON.parse(item)),
+        total
+      };
+    } catch (error) {
+      logger.warn('Article store list failed:', error.message);
+      return { articles: [], total: 0 };
+    }
+  }
+
+  async count(section, { before = null, after = null } = {}) {
+    const max = before !== null ? before - 1 : Infinity;
+    const min = after !== null ? after + 1 : -Infinity;
+    const client = this.getRedis();
+
+    if (!client) {
+      return Array.from(this.memory.values()).filter(record => {
+        const time = new Date(record.publishedAt).getTime();
+        return record.sections.includes(section) && time >= min && time <= max;
+      }).length;
+    }
+
+    try {
+      return await client.zCount(sectionKey(section), min === -Infinity ? '-inf' : min, max === Infinity ? '+inf' : max);
+    } catch (error) {
+      logger.warn('Article store count failed:', error.message);
+      return 0;
+    }
+  }
+
+  pruneIfDue() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL_MS) return;
+    this.lastPrune = Date.now();
+    this.prune().catch(error => logger.warn('Article store prune failed:', error.message));
+  }
+
+  // 보관 기간(ARTICLE_RETENTION_DAYS)이 지난 기사 삭제
+  async prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const client = this.getRedis();
+
+    if (!client) {
+      for (const [key, record] of this.memory) {
+        if (new Date(record.publishedAt).getTime() < cutoff) this.memory.delete(key);
+      }
+      return;
+    }
+
+    const expired = await client.zRangeByScore(ALL_KEY, '-inf', cutoff);
+    if (expired.length === 0) return;
+
+    const raw = await client.hmGet(DATA_KEY, expired);
+    const multi = client.multi();
+    raw.forEach((item, index) => {
+      const sections = item ? JSON.parse(item).sections : [];
+      sections.forEach(section => multi.zRem(sectionKey(section), expired[index]));
+    });
+    multi.hDel(DATA_KEY, expired);
+    multi.del(expired.map(versionKey));
+    multi.zRem(ALL_KEY, expired);
+    await multi.exec();
+
+    logger.info(`🗄️ Pruned ${expired.length} articles older than ${this.retentionDays} days`);
+  }
+
+  getStatus() {
+    return {
+      backend: this.getRedis() ? 'redis' : 'memory',
+      retentionDays: this.retentionDays,
+      memoryArticles: this.memory.size
+    };
+  }
+}
+
+module.exports = new ArticleStore();
@@ -0,0 +1,255 @@
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const aiService = require('./aiservice');
+const articleStore = require('./articleStore');
+const storyClusterer = require('./storyClusterer');
+const { SECTIONS } = require('./sourceRegistry');
+
+const briefingKey = (section, date) => `briefings:${section}:${date}`;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ARTICLES = 300;
+
+const EDITIONS = ['morning', 'evening'];
+const EDITION_LABELS = { morning: '아침', evening: '저녁' };
+const SECTION_LABELS = { world: '세계', kr: '국내', japan: '일본', tech: '테크', business: '경제', buzz: '화제' };
+
+// "HH:MM" → 하루 중 분
+function parseTime(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return fallback;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// 섹션별 아침/저녁 브리핑
+// 정해진 시각(BRIEFING_MORNING_TIME, BRIEFING_EVENING_TIME, 기본 07:00/18:00, BRIEFING_UTC_OFFSET_MINUTES 기준 현지 시각)에
+// 최근 BRIEFING_WINDOW_HOURS시간 기사를 스토리로 묶어 중요도 상위 BRIEFING_STORIES개를 고르고,
+// AI 서비스가 한 번의 프롬프트로 스토리별 두 줄 요약과 도입문을 만든다.
+// Redis: briefings:<section>:<date>(JSON { morning, evening }, 보관 기간 ARTICLE_RETENTION_DAYS), 없으면 메모리
+class BriefingService {
+  constructor() {
+    this.enabled = process.env.BRIEFINGS_ENABLED !== 'false';
+    this.offsetMinutes = Number.isFinite(parseInt(process.env.BRIEFING_UTC_OFFSET_MINUTES))
+      ? parseInt(process.env.BRIEFING_UTC_OFFSET_MINUTES)
+      : 9 * 60;
+    this.schedule = {
+      morning: parseTime(process.env.BRIEFING_MORNING_TIME, 7 * 60),
+      evening: parseTime(process.env.BRIEFING_EVENING_TIME, 18 * 60)
+    };
+    this.topN = parseInt(process.env.BRIEFING_STORIES) || 5;
+    this.windowHours = parseInt(process.env.BRIEFING_WINDOW_HOURS) || 12;
+    this.retentionDays = parseInt(process.env.ARTICLE_RETENTION_DAYS) || 30;
+    this.memory = new Map();
+    this.timer = null;
+    this.next = null;
+    this.running = false;
+    this.stats = { runs: 0, failures: 0, lastRun: null, lastError: null };
+  }
+
+  getRedis() {
+    const client = database.getClient();
+    return client && client.isOpen ? client : null;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+    this.scheduleNext();
+    logger.info(`🗞️ Briefing scheduler started (next: ${this.next.edition} at ${this.next.at.toISOString()})`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.next = null;
+  }
+
+  // 현지 날짜 키 (YYYY-MM-DD)
+  dateKey(time = Date.now()) {
+    return new Date(time + this.offsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  // 다음으로 돌아올 발행 시각과 판
+  nextRun(now = Date.now()) {
+    const localMidnight = Date.parse(this.dateKey(now)) - this.offsetMinutes * 60 * 1000;
+    const candidates = [0, 1].flatMap(day => EDITIONS.map(edition => ({
+      edition,
+      at: new Date(localMidnight + day * 24 * HOUR_MS + this.schedule[edition] * 60 * 1000)
+    })));
+    return candidates
+      .filter(candidate => candidate.at.getTime() > now)
+      .sort((a, b) => a.at - b.at)[0];
+  }
+
+  scheduleNext() {
+    this.next = this.nextRun();
+    this.timer = setTimeout(() => {
+      const { edition } = this.next;
+      this.scheduleNext();
+      this.runAll(edition).catch(error => logger.error('Briefing run failed:', error.message));
+    }, this.next.at.getTime() - Date.now());
+    // 예약만 남아 있을 때 프로세스 종료를 막지 않음
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // 모든 섹션의 브리핑을 차례로 작성 (LLM 요청이 몰리지 않도록 순차 실행)
+  async runAll(edition) {
+    if (this.running) {
+      logger.warn(`Briefing run for ${edition} still in progress, skipping`);
+      return;
+    }
+
+    this.running = true;
+    this.stats.runs++;
+    this.stats.lastRun = new Date().toISOString();
+
+    try {
+      for (const section of SECTIONS) {
+        try {
+          const briefing = await this.compose(section, { edition });
+          logger.info(`🗞️ ${briefing.heading}: ${briefing.items.length} stories (${briefing.source})`);
+        } catch (error) {
+          this.stats.failures++;
+          this.stats.lastError = error.message;
+          logger.error(`Briefing for ${section} (${edition}) failed:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // 섹션 브리핑을 작성해 오늘 날짜 키로 저장
+  async compose(section, { edition, now = Date.now() } = {}) {
+    const date = this.dateKey(now);
+    const from = now - this.windowHours * HOUR_MS;
+    const { articles } = await articleStore.list(section, { after: from, limit: MAX_ARTICLES });
+
+    const stories = storyClusterer.cluster(articles)
+      .map(story => ({ story, importance: this.importance(story, now) }))
+      .sort((a, b) => (b.importance - a.importance) || (new Date(b.story.lastPublishedAt) - new Date(a.story.lastPublishedAt)))
+      .slice(0, this.topN);
+
+    const heading = `${SECTION_LABELS[section] || section} ${EDITION_LABELS[edition]} 브리핑`;
+    const picks = stories.map(({ story, importance }) => {
+      const article = story.articles.find(member => member.id === story.representativeId) || story.articles[0];
+      return { story, importance, article };
+    });
+
+    const generated = await aiService.generateBriefing(picks.map(({ story, article }) => ({
+      id: story.id,
+      title: article.title,
+      titleKo: article.titleKo,
+      description: article.description,
+      descriptionKo: article.descriptionKo,
+      summaryPoints: article.summaryPoints,
+      sources: story.sources.map(source => source.name)
+    })), { section, heading });
+
+    const briefing = {
+      section,
+      date,
+      edition,
+      heading,
+      intro: generated.intro,
+      source: generated.source,
+      generatedAt: new Date(now).toISOString(),
+      window: { from: new Date(from).toISOString(), to: new Date(now).toISOString() },
+      items: picks.map(({ story, importance, article }, index) => ({
+        rank: index + 1,
+        storyId: story.id,
+        articleId: article.id,
+        title: article.title,
+        titleKo: article.titleKo || article.title,
+        source: article.source,
+        sourceCount: story.sources.length,
+        url: article.url,
+        urlToImage: story.urlToImage,
+        publishedAt: article.publishedAt,
+        importance: Math.round(importance * 100) / 100,
+        summary: generated.summaries[story.id] || []
+      }))
+    };
+
+    await this.save(briefing);
+    return briefing;
+  }
+
+  // 중요도: 대표 기사 평점(1~5) + 보도 매체 수 + 최신성 + 경보성 어조
+  importance(story, now) {
+    const rating = Math.max(...story.articles.map(article => article.rating || 3));
+    const coverage = Math.log2(story.sources.length) * 1.5;
+    const age = (now - new Date(story.lastPublishedAt).getTime()) / HOUR_MS;
+    const recency = Math.max(0, 1 - age / this.windowHours);
+    const alarming = story.articles.some(article => article.tone === 'alarming') ? 0.5 : 0;
+    return rating + coverage + recency + alarming;
+  }
+
+  async save(briefing) {
+    const key = briefingKey(briefing.section, briefing.date);
+    const client = this.getRedis();
+
+    if (!client) {
+      const day = this.memory.get(key) || {};
+      this.memory.set(key, { ...day, [briefing.edition]: briefing });
+      // 보관 기간이 지난 날짜는 메모리에서 정리
+      const cutoff = this.dateKey(Date.now() - this.retentionDays * 24 * HOUR_MS);
+      for (const stored of this.memory.keys()) {
+        if (stored.slice(-10) < cutoff) this.memory.delete(stored);
+      }
+      return;
+    }
+
+    try {
+      const raw = await client.get(key);
+      const day = raw ? JSON.parse(raw) : {};
+      await client.set(key, JSON.stringify({ ...day, [briefing.edition]: briefing }), {
+        EX: this.retentionDays * 24 * 60 * 60
+      });
+    } catch (error) {
+      logger.warn('Briefing write failed:', error.message);
+    }
+  }
+
+  // 날짜의 브리핑 (edition이 없으면 발행된 판 모두, 아침 → 저녁 순)
+  async get(section, date, { edition } = {}) {
+    const key = briefingKey(section, date);
+    const client = this.getRedis();
+    let day = null;
+
+    if (!client) {
+      day = this.memory.get(key) || null;
+    } else {
+      try {
+        const raw = await client.get(key);
+        day = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        logger.warn('Briefing read failed:', error.message);
+      }
+    }
+    if (!day) return null;
+
+    const briefings = EDITIONS
+      .filter(name => !edition || name === edition)
+      .map(name => day[name])
+      .filter(Boolean);
+    return briefings.length > 0 ? { section, date, briefings } : null;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      schedule: Object.fromEntries(EDITIONS.map(edition => [
+        edition,
+        `${String(Math.floor(this.schedule[edition] / 60)).padStart(2, '0')}:${String(this.schedule[edition] % 60).padStart(2, '0')}`
+      ])),
+      utcOffsetMinutes: this.offsetMinutes,
+      stories: this.topN,
+      windowHours: this.windowHours,
+      running: this.running,
+      nextRun: this.next ? { edition: this.next.edition, at: this.next.at.toISOString() } : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new BriefingService();
+module.exports.EDITIONS = EDITIONS;
@@ -0,0 +1,236 @@
+const logger = require('../utils/logger');
+const aiService = require('./aiservice');
+const articleStore = require('./articleStore');
+const articleExtractor = require('./articleExtractor');
+const entityExtractor = require('./entityExtractor');
+const sentimentAnalyzer = require('./sentimentAnalyzer');
+
+const MAX_ATTEMPTS = 3;
+const RATE_LIMIT_WAIT_MS = 5000;
+const RETRY_DELAY_MS = 30000;
+
+// AI 보강 큐
+// 수집 직후 기사는 enrichment: 'pending'으로 저장되고, 이 큐가 여러 기사를 한 번의 JSON 프롬프트로 묶어
+// 번역·요약을 채운 뒤 'done'으로 바꾼다. 재시도를 다 써도 실패하면 문장 추출 결과로 채우고 'failed'로 표시한다.
+// 뉴스 API는 큐를 기다리지 않으므로 LLM이 느리거나 막혀도 응답이 지연되지 않는다.
+// 추출한 전문의 번역은 기사 상세를 처음 조회할 때 따로 예약되며, 보강 배치가 없을 때 하나씩 처리한다.
+class EnrichmentQueue {
+  constructor() {
+    this.batchSize = parseInt(process.env.AI_ENRICHMENT_BATCH_SIZE) || 5;
+    this.pending = new Map();
+    this.fullText = new Set();
+    this.running = false;
+    this.timer = null;
+    this.stats = { enqueued: 0, batches: 0, done: 0, failed: 0, retried: 0, fullTextTranslated: 0, fullTextFailed: 0 };
+  }
+
+  enqueue(articles) {
+    articles.forEach(article => {
+      if (!article.id || this.pending.has(article.id)) return;
+      this.pending.set(article.id, { id: article.id, attempts: 0, notBefore: 0 });
+      this.stats.enqueued++;
+    });
+    this.schedule(0);
+  }
+
+  // 전문 번역 예약 (이미 예약된 기사는 무시)
+  enqueueFullText(id) {
+    if (this.fullText.has(id)) return;
+    this.fullText.add(id);
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    if (this.running || this.timer || (this.pending.size === 0 && this.fullText.size === 0)) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain().catch(error => logger.error('Enrichment queue failed:', error.message));
+    }, delay);
+    // 큐가 남아 있어도 프로세스 종료를 막지 않음
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async drain() {
+    this.running = true;
+    let wait = 0;
+
+    try {
+      while (this.pending.size > 0 || this.fullText.size > 0) {
+        const now = Date.now();
+        const batch = Array.from(this.pending.values())
+          .filter(job => job.notBefore <= now)
+          .slice(0, this.batchSize);
+
+        // 보강할 배치가 없을 때만 전문 번역을 하나씩 처리
+        if (batch.length === 0 && this.fullText.size === 0) {
+          wait = Math.min(...Array.from(this.pending.values()).map(job => job.notBefore)) - now;
+          break;
+        }
+
+        // 분당 요청 한도에 걸리면 창이 풀릴 때까지 대기
+        if (aiService.provider && !aiService.canMakeRequest()) {
+          wait = RATE_LIMIT_WAIT_MS;
+          break;
+        }
+
+        if (batch.length > 0) {
+          batch.forEach(job => this.pending.delete(job.id));
+          await this.processBatch(batch);
+        } else {
+          const id = this.fullText.values().next().value;
+          this.fullText.delete(id);
+          await this.translateFullText(id);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    this.schedule(Math.max(0, wait));
+  }
+
+  async processBatch(jobs) {
+    this.stats.batches++;
+    const records = await articleStore.getMany(jobs.map(job => job.id));
+    const active = jobs
+      .map((job, index) => ({ job, record: records[index] }))
+      .filter(({ record }) => record && record.enrichment !== 'done');
+    if (active.length === 0) return;
+
+    // 전문 추출 (ARTICLE_EXTRACTION=true일 때만, 실패하면 피드 설명 사용)
+    const inputs = await Promise.all(active.map(async ({ record }) => {
+      const extracted = articleExtractor.enabled ? await articleExtractor.extract(record.url) : null;
+      return {
+        id: record.id,
+        title: record.title,
+        description: record.description || '',
+        content: extracted ? extracted.text : (record.description || ''),
+        language: record.language,
+        section: (record.sections || [])[0],
+        extracted
+      };
+    }));
+
+    let results;
+    try {
+      results = await aiService.enrichArticles(inputs, {
+        entities: entityExtractor.useLLM,
+        sentiment: sentimentAnalyzer.useLLM
+      });
+    } catch (error) {
+      logger.warn(`Enrichment batch of ${active.length} failed:`, error.message);
+      results = inputs.map(() => null);
+    }
+
+    for (const [index, { job, record }] of active.entries()) {
+      const input = inputs[index];
+      const result = results[index];
+
+      try {
+        if (result) {
+          await this.complete(input, result, 'done', record);
+          this.stats.done++;
+        } else if (job.attempts + 1 < MAX_ATTEMPTS) {
+          this.retry(job);
+        } else {
+          await this.complete(input, await aiService.basicEnrichment(input), 'failed', record);
+          this.stats.failed++;
+        }
+      } catch (error) {
+        // 저장 실패(쓰기 충돌, Redis 오류)는 결과를 버리지 않고 나중에 다시 처리
+        logger.warn(`Saving enrichment for ${job.id} failed:`, error.message);
+        this.retry(job);
+      }
+    }
+  }
+
+  retry(job) {
+    this.pending.set(job.id, { ...job, attempts: job.attempts + 1, notBefore: Date.now() + RETRY_DELAY_MS * (job.attempts + 1) });
+    this.stats.retried++;
+  }
+
+  async complete(input, result, status, record) {
+    const { extracted } = input;
+
+    // 추출한 전문의 번역은 배치에 넣지 않고 상세 조회 때 따로 예약한다 (enqueueFullText).
+    // 전문이 없으면 설명 번역을 원문 번역으로 사용
+    const originalTextKo = extracted && status === 'done' ? null : result.descriptionKo;
+
+    const fields = {
+      titleKo: result.titleKo,
+      descriptionKo: result.descriptionKo,
+      summaryPoints: result.summaryPoints,
+      aiDetailedSummary: result.detailedSummary,
+      originalTextKo,
+      hasTranslation: result.titleKo !== input.title || result.descriptionKo !== input.description,
+      hasSummary: result.summaryPoints.length > 0,
+      hasFullText: Boolean(extracted),
+      content: input.content,
+      // 번역문·전문에서 사전 개체를 다시 찾고, LLM이 찾은 개체를 정규화해 합침
+      entities: entityExtractor.merge(
+        record.entities,
+        entityExtractor.extract({ titleKo: result.titleKo, descriptionKo: result.descriptionKo, content: input.content }),
+        entityExtractor.normalize(result.entities)
+      ),
+      enrichment: status,
+      enrichedAt: new Date().toISOString(),
+      // 실패 횟수는 다시 수집할 때 재시도 간격·횟수 판단에 사용
+      enrichmentFailures: status === 'failed' ? (record.enrichmentFailures || 0) + 1 : 0
+    };
+
+    // 사전 점수(한국어 번역문 포함)를 기본으로, LLM이 준 감성·어조가 있으면 그것으로 보정
+    const { sentiment, tone } = sentimentAnalyzer.refine(
+      sentimentAnalyzer.analyze({ ...record, titleKo: result.titleKo, descriptionKo: result.descriptionKo }),
+      result.sentiment !== undefined ? { sentiment: result.sentiment, tone: result.tone } : null
+    );
+    fields.sentiment = sentiment;
+    fields.tone = tone;
+
+    if (extracted) {
+      fields.byline = extracted.byline;
+      if (!record.urlToImage) fields.urlToImage = extracted.leadImage;
+      if (!record.author) fields.author = extracted.byline;
+    }
+
+    await articleStore.patch(input.id, fields);
+    await entityExtractor.index([{ id: input.id, publishedAt: record.publishedAt, entities: fields.entities }]);
+  }
+
+  // 추출한 전문을 번역해 originalTextKo에 저장
+  async translateFullText(id) {
+    try {
+      const record = await articleStore.getById(id);
+      if (!record || !record.hasFullText || record.originalTextKo || !record.content) return;
+
+      const translated = await aiService.translate(record.content, {
+        source: record.language,
+        target: 'ko',
+        section: (record.sections || [])[0]
+      });
+
+      // 한도 초과·실패로 원문이 그대로 돌아오면 저장하지 않음 (다음 상세 조회 때 다시 예약)
+      if (translated === record.content && record.language !== 'ko') {
+        this.stats.fullTextFailed++;
+        return;
+      }
+
+      await articleStore.patch(id, { originalTextKo: translated });
+      this.stats.fullTextTranslated++;
+    } catch (error) {
+      this.stats.fullTextFailed++;
+      logger.warn(`Full-text translation failed for ${id}:`, error.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      pending: this.pending.size,
+      fullTextPending: this.fullText.size,
+      running: this.running,
+      batchSize: this.batchSize,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new EnrichmentQueue();
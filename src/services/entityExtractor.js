@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+
+const DATA_KEY = 'entities:data';
+const mentionsKey = (id) => `entities:mentions:${id}`;
+
+const TYPES = ['person', 'organization', 'place', 'ticker'];
+const MAX_ENTITIES = 15;
+const MEMORY_LIMIT = 2000;
+
+// 본문 속 종목 표기: $AAPL, (NASDAQ: AAPL), (KRX: 005930)
+const TICKER_PATTERNS = [
+  /(?<![A-Za-z0-9])\$([A-Z]{1,5})(?![A-Za-z0-9])/g,
+  /\((?:NASDAQ|NYSE|AMEX|KRX|KOSPI|KOSDAQ|TSE|TYO)\s*:\s*([A-Z0-9.]{1,10})\)/g
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 한국어는 띄어쓰기 단위로 조사·접미사가 붙으므로, 짧은 한글 별칭은 앞뒤가 다른 한글 단어에 이어지지 않을 때만 인정한다
+// ("메타가"·"북한의"는 매칭, "메타버스"·"남북한"은 제외). 일본어·중국어는 띄어쓰지 않아 이 경계를 적용하지 않는다.
+const SHORT_HANGUL = /^[\uac00-\ud7a3]{1,3}$/;
+const PARTICLES = ['은', '는', '이', '가', '을', '를', '의', '에', '와', '과', '도', '로', '만', '측', '발', '산',
+  '에서', '에게', '으로', '까지', '부터', '보다', '처럼', '과의', '와의', '에는', '에도', '이나', '이며', '이자', '라는',
+  '이다', '였다', '이었다', '에서는', '으로는', '이라는'];
+const PARTICLE_PATTERN = PARTICLES.sort((a, b) => b.length - a.length).join('|');
+const aliasPattern = (alias) => SHORT_HANGUL.test(alias)
+  ? `(?<![\uac00-\ud7a3])${escapeRegExp(alias)}(?=(?:${PARTICLE_PATTERN})?(?![\uac00-\ud7a3]))`
+  : escapeRegExp(alias);
+
+// 개체명 추출 (인물·기관·장소·종목)
+// 사전(ENTITIES_FILE, 기본 src/config/entities.json)의 이름·별칭을 영어/한국어/일본어 본문에서 찾아
+// 정규 ID(예: "트럼프", "Trump" → donald-trump)로 묶는다. AI 보강 때 LLM이 찾아낸 개체도 같은 사전으로 정규화하고,
+// 사전에 없는 개체는 이름에서 만든 ID로 entities:data에 저장한다.
+// Redis: entities:mentions:<id>(ZSET 기사 ID, score=발행시각), entities:data(HASH id→JSON)
+class EntityExtractor {
+  constructor() {
+    this.filePath = process.env.ENTITIES_FILE || path.join(__dirname, '..', 'config', 'entities.json');
+    this.useLLM = process.env.ENTITY_EXTRACTION_LLM !== 'false';
+    this.retentionDays = parseInt(process.env.ARTICLE_RETENTION_DAYS) || 30;
+    this.entities = new Map();
+    this.aliases = new Map();
+    this.tickers = new Map();
+    this.learned = new Set();
+    this.memory = { mentions: new Map(), data: new Map() };
+    this.load();
+  }
+
+  getRedis() {
+    const client = database.getClient();
+    return client && client.isOpen ? client : null;
+  }
+
+  load() {
+    let list = [];
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      list = Array.isArray(raw) ? raw : raw.entities || [];
+    } catch (error) {
+      logger.error(`Failed to load entity gazetteer from ${this.filePath}:`, error.message);
+    }
+
+    list.filter(entity => entity.id && TYPES.includes(entity.type)).forEach(entity => {
+      this.entities.set(entity.id, {
+        id: entity.id,
+        type: entity.type,
+        name: entity.name,
+        nameKo: entity.nameKo || entity.name,
+        tickers: entity.tickers || []
+      });
+      [entity.name, entity.nameKo, ...(entity.aliases || [])].filter(Boolean).forEach(alias => {
+        this.aliases.set(alias.toLowerCase(), entity.id);
+      });
+      (entity.tickers || []).forEach(ticker => this.tickers.set(ticker.toUpperCase(), entity.id));
+    });
+
+    // 짧은 대문자 약어(UN, EU, BOJ)는 대소문자를 구분해야 일반 단어와 섞이지 않음
+    const names = Array.from(this.aliases.keys());
+    const originals = list.flatMap(entity => [entity.name, entity.nameKo, ...(entity.aliases || [])]).filter(Boolean);
+    const strict = originals.filter(alias => /^[A-Z.]{2,5}$/.test(alias));
+    const loose = names.filter(alias => !strict.some(s => s.toLowerCase() === alias));
+
+    const pattern = (aliases, flags) => aliases.length > 0
+      ? new RegExp(`(?<![A-Za-z0-9])(?:${aliases.sort((a, b) => b.length - a.length).map(aliasPattern).join('|')})(?![A-Za-z0-9])`, flags)
+      : null;
+    this.patterns = [pattern(strict, 'g'), pattern(loose, 'gi')].filter(Boolean);
+  }
+
+  // 사전 기반 추출: 겹치는 표기는 긴 쪽을 택함 ("North Korea"는 north-korea만, "Korea"로 중복 집계하지 않음)
+  extract(article) {
+    const text = [article.title, article.description, article.titleKo, article.descriptionKo, article.content]
+      .filter(Boolean)
+      .join('\n');
+
+    const matches = [];
+    this.patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        matches.push({ start: match.index, end: match.index + match[0].length, id: this.aliases.get(match[0].toLowerCase()) });
+      }
+    });
+    TICKER_PATTERNS.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        matches.push({ start: match.index, end: match.index + match[0].length, id: this.tickerEntity(match[1]).id });
+      }
+    });
+
+    const taken = [];
+    const counts = new Map();
+    matches
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+      .forEach(match => {
+        if (!match.id || taken.some(span => match.start < span.end && span.start < match.end)) return;
+        taken.push(match);
+        counts.set(match.id, (counts.get(match.id) || 0) + 1);
+      });
+
+    return Array.from(counts.entries())
+      .map(([id, count]) => ({ ...this.describe(id), count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_ENTITIES);
+  }
+
+  // 사전의 종목이면 그 기관, 아니면 종목 자체를 개체로
+  tickerEntity(symbol) {
+    const ticker = symbol.toUpperCase();
+    const known = this.tickers.get(ticker);
+    if (known) return this.entities.get(known);
+
+    const entity = { id: `ticker-${ticker.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, type: 'ticker', name: ticker, nameKo: ticker, tickers: [ticker] };
+    if (!this.entities.has(entity.id)) this.remember(entity);
+    return entity;
+  }
+
+  // LLM이 돌려준 [{ name, type }]를 정규 ID로 (사전에 있으면 사전 항목, 없으면 새 개체)
+  normalize(candidates) {
+    if (!Array.isArray(candidates)) return [];
+
+    const entities = new Map();
+    candidates.forEach(candidate => {
+      const name = String((candidate && candidate.name) || '').trim();
+      const type = TYPES.includes(candidate && candidate.type) ? candidate.type : null;
+      if (!name || name.length > 80 || !type) return;
+
+      const known = this.aliases.get(name.toLowerCase());
+      if (known) {
+        entities.set(known, this.describe(known));
+        return;
+      }
+      if (type === 'ticker') {
+        const entity = this.tickerEntity(name);
+        entities.set(entity.id, this.describe(entity.id));
+        return;
+      }
+
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+      const id = slug || `${type}-${crypto.createHash('sha1').update(name).digest('hex').slice(0, 12)}`;
+      if (!this.entities.has(id)) {
+        this.remember({ id, type, name, nameKo: candidate.nameKo || name, tickers: [] });
+      }
+      entities.set(id, this.describe(id));
+    });
+
+    return Array.from(entities.values());
+  }
+
+  // 같은 ID는 하나로 (언급 횟수는 큰 쪽)
+  merge(...lists) {
+    const merged = new Map();
+    lists.flat().filter(Boolean).forEach(entity => {
+      const existing = merged.get(entity.id);
+      merged.set(entity.id, { ...entity, count: Math.max(existing ? existing.count || 1 : 0, entity.count || 1) });
+    });
+    return Array.from(merged.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_ENTITIES);
+  }
+
+  describe(id) {
+    this.touch(id);
+    const entity = this.entities.get(id);
+    return entity ? { id: entity.id, type: entity.type, name: entity.name, nameKo: entity.nameKo } : null;
+  }
+
+  // 사전에 없던 개체 (메모리에 두고 Redis에도 저장해 다른 인스턴스가 조회할 수 있게 함)
+  remember(entity) {
+    this.learn(entity);
+
+    const client = this.getRedis();
+    if (!client) {
+      this.memory.data.set(entity.id, entity);
+      if (this.memory.data.size > MEMORY_LIMIT) this.memory.data.delete(this.memory.data.keys().next().value);
+      return;
+    }
+    client.hSet(DATA_KEY, entity.id, JSON.stringify(entity))
+      .catch(error => logger.warn('Entity write failed:', error.message));
+  }
+
+  // 사전 밖 개체는 최근에 쓴 MEMORY_LIMIT개만 메모리에 둔다 (밀려난 개체는 getEntity가 저장소에서 다시 읽음)
+  learn(entity) {
+    this.learned.delete(entity.id);
+    this.learned.add(entity.id);
+    this.entities.set(entity.id, entity);
+    const alias = entity.name.toLowerCase();
+    if (!this.aliases.has(alias)) this.aliases.set(alias, entity.id);
+
+    while (this.learned.size > MEMORY_LIMIT) {
+      const oldest = this.learned.values().next().value;
+      this.learned.delete(oldest);
+      this.forget(oldest);
+    }
+  }
+
+  touch(id) {
+    if (!this.learned.delete(id)) return;
+    this.learned.add(id);
+  }
+
+  forget(id) {
+    const entity = this.entities.get(id);
+    this.entities.delete(id);
+    if (entity && this.aliases.get(entity.name.toLowerCase()) === id) this.aliases.delete(entity.name.toLowerCase());
+  }
+
+  async getEntity(id) {
+    if (this.entities.has(id)) return this.entities.get(id);
+
+    const client = this.getRedis();
+    if (!client) return this.memory.data.get(id) || null;
+
+    try {
+      const raw = await client.hGet(DATA_KEY, id);
+      if (!raw) return null;
+      const entity = JSON.parse(raw);
+      this.learn(entity);
+      return entity;
+    } catch (error) {
+      logger.warn('Entity read failed:', error.message);
+      return null;
+    }
+  }
+
+  // 기사별 개체 언급을 색인 (보관 기간이 지난 언급은 함께 정리)
+  async index(articles) {
+    const mentions = articles.flatMap(article => (article.entities || []).map(entity => ({
+      id: entity.id,
+      articleId: article.id,
+      score: new Date(article.publishedAt).getTime() || Date.now()
+    })));
+    if (mentions.length === 0) return;
+
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const client = this.getRedis();
+
+    if (!client) {
+      mentions.forEach(({ id, articleId, score }) => {
+        const entries = this.memory.mentions.get(id) || new Map();
+        entries.set(articleId, score);
+        if (entries.size > MEMORY_LIMIT) entries.delete(entries.keys().next().value);
+        this.memory.mentions.set(id, entries);
+      });
+      return;
+    }
+
+    try {
+      const multi = client.multi();
+      mentions.forEach(({ id, articleId, score }) => multi.zAdd(mentionsKey(id), { score, value: articleId }));
+      [...new Set(mentions.map(({ id }) => id))].forEach(id => multi.zRemRangeByScore(mentionsKey(id), '-inf', cutoff));
+      await multi.exec();
+    } catch (error) {
+      logger.warn('Entity index write failed:', error.message);
+    }
+  }
+
+  // 개체가 언급된 기사 ID와 발행 시각 (최신순, since 이후)
+  async getMentions(id, { since = 0, limit = 500 } = {}) {
+    const client = this.getRedis();
+
+    if (!client) {
+      return Array.from((this.memory.mentions.get(id) || new Map()).entries())
+        .filter(([, score]) => score >= since)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([articleId, score]) => ({ articleId, at: score }));
+    }
+
+    try {
+      const entries = await client.zRangeWithScores(mentionsKey(id), '+inf', since, {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset: 0, count: limit }
+      });
+      return entries.map(({ value, score }) => ({ articleId: value, at: score }));
+    } catch (error) {
+      logger.warn('Entity index read failed:', error.message);
+      return [];
+    }
+  }
+
+  // 본문이 개체를 언급하는지 (영상 제목 매칭용)
+  mentions(text, id) {
+    return this.extract({ title: text }).some(entity => entity.id === id);
+  }
+
+  getStatus() {
+    return {
+      gazetteer: this.filePath,
+      entities: this.entities.size,
+      aliases: this.aliases.size,
+      learned: this.learned.size,
+      llm: this.useLLM
+    };
+  }
+}
+
+module.exports = new EntityExtractor();
+module.exports.ENTITY_TYPES = TYPES;
@@ -0,0 +1,103 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { redis } = require('../config/database');
+const feedNormalizer = require('./feedNormalizer');
+
+const STATE_TTL = 24 * 60 * 60; // 1 day
+const MAX_STORED_ITEMS = 50;
+
+// 조건부 요청(ETag / Last-Modified)으로 피드를 가져오는 fetcher
+// 소스별 검증자와 마지막 정규화 결과를 보관했다가 304 응답이면 그대로 재사용한다.
+class FeedFetcher {
+  constructor() {
+    this.timeout = 5000;
+    this.state = new Map();
+    this.stats = { requests: 0, notModified: 0, full: 0 };
+  }
+
+  async fetch(source) {
+    const state = this.state.get(source.id) || await this.loadState(source.id);
+    const headers = {
+      'User-Agent': 'EmarkNews/7.0 (+https://emarknews.com)',
+      'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/rdf+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5'
+    };
+
+    // 이전 파싱 결과가 있을 때만 조건부 요청 (304를 받아도 재사용할 데이터가 있어야 함)
+    if (state?.feed) {
+      if (state.etag) headers['If-None-Match'] = state.etag;
+      if (state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+    }
+
+    this.stats.requests++;
+    const response = await axios.get(source.url, {
+      headers,
+      timeout: this.timeout,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (response.status === 304 && state?.feed) {
+      this.stats.notModified++;
+      state.checkedAt = new Date().toISOString();
+      return { feed: state.feed, notModified: true };
+    }
+
+    const parsed = await feedNormalizer.parse(response.data, response.headers['content-type']);
+    const feed = {
+      format: parsed.format,
+      title: parsed.title,
+      items: parsed.items.slice(0, MAX_STORED_ITEMS)
+    };
+
+    this.stats.full++;
+    await this.saveState(source.id, {
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      feed,
+      fetchedAt: new Date().toISOString(),
+      checkedAt: new Date().toISOString()
+    });
+
+    return { feed, notModified: false };
+  }
+
+  async loadState(sourceId) {
+    try {
+      const cached = await redis.get(`feed:state:${sourceId}`);
+      if (cached) {
+        const state = JSON.parse(cached);
+        // 정규화 이전 형식으로 저장된 상태는 버리고 전체 다운로드
+        if (!state.feed?.format) return null;
+        this.state.set(sourceId, state);
+        return state;
+      }
+    } catch (error) {
+      logger.warn(`Feed state read failed for ${sourceId}:`, error.message);
+    }
+    return null;
+  }
+
+  async saveState(sourceId, state) {
+    this.state.set(sourceId, state);
+
+    // 검증자가 없으면 다음 요청도 전체 다운로드이므로 Redis에 남길 필요 없음
+    if (!state.etag && !state.lastModified) return;
+
+    try {
+      await redis.set(`feed:state:${sourceId}`, JSON.stringify(state), { EX: STATE_TTL });
+    } catch (error) {
+      logger.warn(`Feed state write failed for ${sourceId}:`, error.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      ...this.stats,
+      tracked: this.state.size,
+      withValidators: Array.from(this.state.values()).filter(s => s.etag || s.lastModified).length
+    };
+  }
+}
+
+module.exports = new FeedFetcher();
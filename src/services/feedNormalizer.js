@@ -0,0 +1,162 @@
+const Parser = require('rss-parser');
+const { httpUrl } = require('../utils/url');
+
+// 피드 정규화 계층
+// RSS 2.0, RSS 1.0(RDF), Atom, JSON Feed 1.x를 같은 항목 형태로 변환한다:
+// { guid, title, link, description, content, publishedAt, image, author, categories }
+// link·image는 http(s) URL만 남긴다 (javascript: 같은 링크가 화면에 그대로 나가지 않도록)
+class FeedNormalizer {
+  constructor() {
+    this.parser = new Parser({
+      customFields: {
+        item: [
+          ['media:content', 'mediaContent', { keepArray: true }],
+          ['media:thumbnail', 'mediaThumbnail', { keepArray: true }],
+          ['media:group', 'mediaGroup'],
+          ['category', 'categoryElements', { keepArray: true }],
+          ['dc:subject', 'subjects', { keepArray: true }]
+        ]
+      }
+    });
+  }
+
+  async parse(body, contentType = '') {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+    if (this.isJsonFeed(text, contentType)) {
+      return this.normalizeJsonFeed(typeof body === 'string' ? JSON.parse(body) : body);
+    }
+
+    const parsed = await this.parser.parseString(text);
+    return {
+      format: this.detectXmlFormat(text),
+      title: parsed.title || null,
+      items: (parsed.items || []).map(item => this.normalizeXmlItem(item))
+    };
+  }
+
+  isJsonFeed(text, contentType) {
+    return /json/i.test(contentType) || text.trimStart().startsWith('{');
+  }
+
+  detectXmlFormat(text) {
+    const head = text.slice(0, 2000);
+    if (/<rdf:RDF[\s>]/i.test(head)) return 'rdf';
+    if (/<feed[\s>]/i.test(head)) return 'atom';
+    return 'rss';
+  }
+
+  normalizeXmlItem(item) {
+    const content = item['content:encoded'] || item.content || item.summary || '';
+
+    return {
+      guid: item.guid || item.id || item.link || null,
+      title: this.cleanText(item.title),
+      link: httpUrl(item.link),
+      description: item.contentSnippet || this.stripHtml(item.summary || content),
+      content,
+      publishedAt: this.toIsoDate(item.isoDate || item.pubDate || item.date),
+      image: httpUrl(this.findXmlImage(item, content)),
+      author: item.creator || item.author || null,
+      categories: this.collectCategories([
+        ...(item.categories || []),
+        ...(item.categoryElements || []),
+        ...(item.subjects || [])
+      ])
+    };
+  }
+
+  normalizeJsonFeed(feed) {
+    if (!feed || !Array.isArray(feed.items)) {
+      throw new Error('Invalid JSON Feed: items array missing');
+    }
+
+    return {
+      format: 'json',
+      title: feed.title || null,
+      items: feed.items.map(item => {
+        const content = item.content_html || item.content_text || '';
+        const authors = item.authors || (item.author ? [item.author] : []);
+
+        return {
+          guid: item.id || item.url || null,
+          title: this.cleanText(item.title || item.summary || ''),
+          link: httpUrl(item.url || item.external_url),
+          description: item.summary || item.content_text || this.stripHtml(item.content_html || ''),
+          content,
+          publishedAt: this.toIsoDate(item.date_published || item.date_modified),
+          image: httpUrl(item.image || item.banner_image || this.findImageInHtml(item.content_html) ||
+            (item.attachments || []).find(a => /^image\//.test(a.mime_type || ''))?.url),
+          author: authors.map(a => a.name).filter(Boolean).join(', ') || null,
+          categories: this.collectCategories(item.tags || [])
+        };
+      })
+    };
+  }
+
+  // media:content → media:thumbnail → media:group → enclosure → 본문 첫 이미지
+  findXmlImage(item, content) {
+    const mediaAttrs = (entries) => (entries || []).map(entry => entry?.$ || {}).filter(attrs => attrs.url);
+
+    const mediaContent = mediaAttrs(item.mediaContent)
+      .find(attrs => attrs.medium === 'image' || /^image\//.test(attrs.type || '') || (!attrs.medium && !attrs.type));
+    if (mediaContent) return mediaContent.url;
+
+    const thumbnail = mediaAttrs(item.mediaThumbnail)[0];
+    if (thumbnail) return thumbnail.url;
+
+    const group = item.mediaGroup;
+    if (group) {
+      const groupImage = mediaAttrs(group['media:content']).find(attrs => attrs.medium === 'image' || /^image\//.test(attrs.type || ''))
+        || mediaAttrs(group['media:thumbnail'])[0];
+      if (groupImage) return groupImage.url;
+    }
+
+    if (item.enclosure?.url && (!item.enclosure.type || /^image\//.test(item.enclosure.type))) {
+      return item.enclosure.url;
+    }
+
+    if (item.itunes?.image) return item.itunes.image;
+
+    return this.findImageInHtml(content);
+  }
+
+  findImageInHtml(html) {
+    if (!html) return null;
+    const match = html.match(/<img[^>]+src=["']([^"']+)["']/i);
+    return match ? match[1] : null;
+  }
+
+  collectCategories(entries) {
+    const names = entries.map(entry => {
+      if (typeof entry === 'string') return entry;
+      if (!entry) return null;
+      return entry._ || entry.$?.label || entry.$?.term || null;
+    });
+
+    return [...new Set(names.map(name => name && name.trim()).filter(Boolean))];
+  }
+
+  // 날짜가 없거나 읽을 수 없으면 null (수집 시각으로 채우는 것은 호출하는 쪽에서 처음 본 시각 기준으로)
+  toIsoDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+
+  stripHtml(html) {
+    return this.cleanText(String(html || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'"));
+  }
+
+  cleanText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = new FeedNormalizer();
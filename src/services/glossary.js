@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { redis } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { SECTIONS } = require('./sourceRegistry');
+
+const OVERRIDES_KEY = 'glossary:overrides';
+const OVERRIDES_REFRESH_MS = 60 * 1000;
+const MAX_TERM_LENGTH = 100;
+const MAX_PROMPT_ENTRIES = 30;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 번역 용어집 (원문 용어 → 선호하는 한국어 표기)
+// 기본 목록은 JSON 파일(GLOSSARY_FILE)에서 읽고, 관리자 API로 바꾼 내용은 Redis(glossary:overrides)에
+// id별 덮어쓰기(삭제는 null)로 저장한다. LLM 프롬프트에는 원문에 등장하는 용어만 넣고,
+// 결과에 남은 원문 용어나 다른 표기(aliases)는 후처리에서 선호 표기로 바꾼다.
+class Glossary {
+  constructor() {
+    this.filePath = process.env.GLOSSARY_FILE || path.join(__dirname, '..', 'config', 'glossary.json');
+    this.fileEntries = this.loadFile();
+    this.overrides = {};
+    this.rebuild();
+    this.lastOverridesLoad = 0;
+  }
+
+  loadFile() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const list = Array.isArray(raw) ? raw : raw.entries || [];
+      return list.map(entry => this.normalize(entry));
+    } catch (error) {
+      logger.error(`Failed to load glossary from ${this.filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  normalize(entry) {
+    if (!entry || typeof entry !== 'object') {
+      throw new ValidationError('Glossary entry must be an object');
+    }
+
+    const term = String(entry.term || '').trim();
+    if (!term || term.length > MAX_TERM_LENGTH) {
+      throw new ValidationError(`term is required (max ${MAX_TERM_LENGTH} characters)`, 'term');
+    }
+
+    const translation = String(entry.translation || '').trim();
+    if (!translation || translation.length > MAX_TERM_LENGTH) {
+      throw new ValidationError(`translation is required (max ${MAX_TERM_LENGTH} characters)`, 'translation');
+    }
+
+    const sections = [].concat(entry.sections || entry.section || []);
+    if (sections.some(s => !SECTIONS.includes(s))) {
+      throw new ValidationError(`Glossary sections must be one of: ${SECTIONS.join(', ')}`, 'sections');
+    }
+
+    const aliases = [].concat(entry.aliases || [])
+      .map(alias => String(alias).trim())
+      .filter(alias => alias && alias !== translation);
+
+    // 선호 표기 안에 들어 있는 표기(예: "도널드 트럼프"의 "트럼프")는 치환 결과를 다시 바꾸게 되므로 받지 않음
+    const nested = aliases.find(alias => translation.toLowerCase().includes(alias.toLowerCase()));
+    if (nested) {
+      throw new ValidationError(`Alias "${nested}" appears inside the translation`, 'aliases');
+    }
+
+    const id = entry.id ? String(entry.id).trim().toLowerCase() : this.idFor(term, sections);
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      throw new ValidationError('Glossary id must be a lowercase slug', 'id');
+    }
+
+    return {
+      id,
+      term,
+      translation,
+      caseSensitive: entry.caseSensitive === true,
+      sections: [...new Set(sections)],
+      aliases: [...new Set(aliases)],
+      note: entry.note ? String(entry.note) : undefined
+    };
+  }
+
+  // 용어(+섹션 범위)에서 만든 ID. 라틴 문자가 아니면 해시를 사용
+  idFor(term, sections = []) {
+    const slug = term.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    const base = slug || crypto.createHash('sha1').update(term).digest('hex').slice(0, 12);
+    return sections.length > 0 ? `${base}-${[...sections].sort().join('-')}` : base;
+  }
+
+  merge() {
+    const merged = new Map(this.fileEntries.map(entry => [entry.id, entry]));
+
+    for (const [id, override] of Object.entries(this.overrides)) {
+      if (override === null) {
+        merged.delete(id);
+        continue;
+      }
+      try {
+        merged.set(id, this.normalize({ ...merged.get(id), ...override, id }));
+      } catch (error) {
+        logger.warn(`Ignoring invalid glossary override ${id}:`, error.message);
+      }
+    }
+
+    // 긴 용어부터 적용해야 "North Korea"가 "Korea"보다 먼저 바뀜
+    const entries = Array.from(merged.values()).sort((a, b) => b.term.length - a.term.length);
+    return new Map(entries.map(entry => [entry.id, entry]));
+  }
+
+  // 표기 정규식 (라틴 문자 용어는 단어 경계, 한글 표기는 조사가 붙어도 일치)
+  pattern(forms, flags) {
+    return new RegExp(
+      `(?<![A-Za-z0-9])(?:${[...forms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![A-Za-z0-9])`,
+      flags
+    );
+  }
+
+  // 항목별 원문 용어 정규식 (relevant()에서 사용)
+  compile(entry) {
+    return { term: this.pattern([entry.term], entry.caseSensitive ? 'g' : 'gi') };
+  }
+
+  rebuild() {
+    this.entries = this.merge();
+    this.patterns = new Map(Array.from(this.entries.values()).map(entry => [entry.id, this.compile(entry)]));
+    this.matchers = new Map();
+  }
+
+  // 섹션별 치환기: 적용되는 항목의 원문 용어·다른 표기·선호 표기를 하나의 정규식으로 묶는다.
+  // 선호 표기도 함께 찾아 그대로 두므로 이미 번역된 부분은 다시 바뀌지 않고, 여러 번 적용해도 결과가 같다.
+  matcher(section) {
+    const key = section || '';
+    if (this.matchers.has(key)) return this.matchers.get(key);
+
+    // 소문자 표기 → [{ form, entry }] (대소문자 구분 항목은 치환할 때 원래 표기와 비교)
+    const forms = new Map();
+    this.list().filter(entry => this.appliesTo(entry, section)).forEach(entry => {
+      [entry.translation, entry.term, ...entry.aliases].forEach(form => {
+        const lower = form.toLowerCase();
+        if (!forms.has(lower)) forms.set(lower, []);
+        forms.get(lower).push({ form, entry });
+      });
+    });
+
+    const matcher = {
+      regex: forms.size > 0 ? this.pattern(Array.from(forms.values()).flat().map(({ form }) => form), 'gi') : null,
+      forms
+    };
+    this.matchers.set(key, matcher);
+    return matcher;
+  }
+
+  // Redis 덮어쓰기를 주기적으로 다시 읽어 다른 인스턴스의 변경도 반영
+  async ensureLoaded(force = false) {
+    if (!force && Date.now() - this.lastOverridesLoad < OVERRIDES_REFRESH_MS) {
+      return;
+    }
+
+    this.lastOverridesLoad = Date.now();
+
+    try {
+      const cached = await redis.get(OVERRIDES_KEY);
+      if (cached) {
+        this.overrides = JSON.parse(cached);
+        this.rebuild();
+      }
+    } catch (error) {
+      logger.warn('Glossary overrides load failed:', error.message);
+    }
+  }
+
+  async saveOverrides() {
+    this.rebuild();
+    await redis.set(OVERRIDES_KEY, JSON.stringify(this.overrides));
+  }
+
+  // section이 주어지면 그 섹션에 적용되는 항목만 (섹션 범위가 없는 항목은 모든 섹션에 적용)
+  list({ section } = {}) {
+    const entries = Array.from(this.entries.values());
+    return section ? entries.filter(entry => this.appliesTo(entry, section)) : entries;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  appliesTo(entry, section) {
+    return entry.sections.length === 0 || (section && entry.sections.includes(section));
+  }
+
+  async add(input) {
+    await this.ensureLoaded(true);
+
+    const entry = this.normalize(input);
+    if (this.entries.has(entry.id)) {
+      throw new ValidationError(`Glossary entry ${entry.id} already exists`, 'id');
+    }
+
+    this.overrides[entry.id] = entry;
+    await this.saveOverrides();
+
+    logger.info(`📖 Glossary entry added: ${entry.term} → ${entry.translation}`);
+    return this.get(entry.id);
+  }
+
+  async update(id, input) {
+    await this.ensureLoaded(true);
+
+    const existing = this.get(id);
+    if (!existing) {
+      throw new NotFoundError(`Glossary entry ${id}`);
+    }
+
+    const entry = this.normalize({ ...existing, ...input, id });
+    this.overrides[id] = entry;
+    await this.saveOverrides();
+
+    logger.info(`📖 Glossary entry updated: ${entry.term} → ${entry.translation}`);
+    return this.get(id);
+  }
+
+  async remove(id) {
+    await this.ensureLoaded(true);
+
+    if (!this.get(id)) {
+      throw new NotFoundError(`Glossary entry ${id}`);
+    }
+
+    this.overrides[id] = null;
+    await this.saveOverrides();
+
+    logger.info(`📖 Glossary entry removed: ${id}`);
+  }
+
+  // 원문에 등장하는 용어만 (프롬프트 지침용)
+  relevant(text, section) {
+    const value = String(text || '');
+    return this.list().filter(entry => {
+      if (!this.appliesTo(entry, section)) return false;
+      const { term } = this.patterns.get(entry.id);
+      term.lastIndex = 0;
+      return term.test(value);
+    });
+  }
+
+  // 시스템 프롬프트에 덧붙일 용어 지침 (해당 용어가 없으면 빈 문자열)
+  promptHint(entries) {
+    const unique = [...new Map(entries.map(entry => [entry.id, entry])).values()].slice(0, MAX_PROMPT_ENTRIES);
+    if (unique.length === 0) return '';
+
+    return `\n\n용어집: 다음 용어는 반드시 지정된 한국어 표기를 사용하세요.\n${
+      unique.map(entry => `- ${entry.term} → ${entry.translation}`).join('\n')
+    }`;
+  }
+
+  // 한국어 결과 후처리: 남아 있는 원문 용어와 다른 표기를 한 번에 선호 표기로 치환
+  apply(text, { section } = {}) {
+    if (!text) return text;
+
+    const { regex, forms } = this.matcher(section);
+    if (!regex) return text;
+
+    return text.replace(regex, match => {
+      const hit = (forms.get(match.toLowerCase()) || [])
+        .find(({ form, entry }) => !entry.caseSensitive || form === match);
+      return hit ? hit.entry.translation : match;
+    });
+  }
+
+  getStatus() {
+    return {
+      file: this.filePath,
+      total: this.entries.size,
+      overrides: Object.keys(this.overrides).length
+    };
+  }
+}
+
+module.exports = new Glossary();
@@ -0,0 +1,161 @@
+const logger = require('../utils/logger');
+
+// 소스별 수집 스케줄러
+// 각 소스는 자신의 주기(fetchInterval, 없으면 기본 주기)에 ±jitter를 더한 간격으로 실행되고,
+// 이전 실행이 끝나지 않았으면 이번 회차는 건너뛴다.
+class IngestionScheduler {
+  constructor({ run, interval = 600000, jitter = 0.1, initialSpread = 30000 }) {
+    this.run = run;
+    this.interval = interval;
+    this.jitter = jitter;
+    this.initialSpread = initialSpread;
+    this.jobs = new Map();
+    this.started = false;
+    this.startedAt = null;
+  }
+
+  start(sources) {
+    this.started = true;
+    this.startedAt = new Date().toISOString();
+    this.sync(sources);
+    logger.info(`📰 Ingestion scheduler started (${this.jobs.size} sources, ${Math.round(this.interval / 60000)}-minute base interval)`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+    }
+    this.jobs.clear();
+    this.started = false;
+  }
+
+  // 활성 소스 목록에 맞춰 작업을 추가/갱신/제거
+  sync(sources) {
+    if (!this.started) return;
+
+    const activeIds = new Set();
+
+    for (const source of sources) {
+      activeIds.add(source.id);
+      const existing = this.jobs.get(source.id);
+
+      if (existing) {
+        existing.source = source;
+        existing.interval = source.fetchInterval || this.interval;
+        continue;
+      }
+
+      const job = {
+        id: source.id,
+        source,
+        interval: source.fetchInterval || this.interval,
+        timer: null,
+        running: false,
+        runs: 0,
+        failures: 0,
+        skipped: 0,
+        lastRun: null,
+        lastDuration: null,
+        lastError: null,
+        lastResult: null,
+        nextRun: null
+      };
+      this.jobs.set(source.id, job);
+      this.scheduleNext(job, Math.random() * this.initialSpread);
+    }
+
+    for (const [id, job] of this.jobs) {
+      if (!activeIds.has(id)) {
+        clearTimeout(job.timer);
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  jitteredDelay(interval) {
+    const spread = interval * this.jitter;
+    return Math.max(1000, interval + (Math.random() * 2 - 1) * spread);
+  }
+
+  scheduleNext(job, delay = this.jitteredDelay(job.interval)) {
+    clearTimeout(job.timer);
+    job.nextRun = new Date(Date.now() + delay).toISOString();
+    job.timer = setTimeout(() => {
+      // 다음 회차를 먼저 예약해 실행 시간이 주기를 밀어내지 않도록 함
+      this.scheduleNext(job);
+      this.runJob(job);
+    }, delay);
+  }
+
+  async runJob(job) {
+    if (job.running) {
+      job.skipped++;
+      logger.warn(`Ingestion for ${job.id} still running, skipping this run`);
+      return;
+    }
+
+    job.running = true;
+    const startTime = Date.now();
+
+    try {
+      job.lastResult = await this.run(job.source);
+      job.lastError = null;
+    } catch (error) {
+      job.failures++;
+      job.lastError = error.message;
+      logger.warn(`Scheduled ingestion failed for ${job.id}:`, error.message);
+    } finally {
+      job.runs++;
+      job.running = false;
+      job.lastRun = new Date(startTime).toISOString();
+      job.lastDuration = Date.now() - startTime;
+    }
+  }
+
+  // 즉시 실행 (다음 예약은 유지)
+  async trigger(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+    await this.runJob(job);
+    return true;
+  }
+
+  getStatus() {
+    const jobs = Array.from(this.jobs.values()).map(job => ({
+      id: job.id,
+      sections: job.source.sections,
+      interval: job.interval,
+      running: job.running,
+      runs: job.runs,
+      failures: job.failures,
+      skipped: job.skipped,
+      lastRun: job.lastRun,
+      lastDuration: job.lastDuration,
+      lastError: job.lastError,
+      lastResult: job.lastResult,
+      nextRun: job.nextRun
+    }));
+
+    // 섹션 단위 요약: 가장 최근 실행과 가장 가까운 다음 실행
+    const sections = {};
+    jobs.forEach(job => {
+      job.sections.forEach(section => {
+        const entry = sections[section] || (sections[section] = { sources: 0, lastRun: null, nextRun: null });
+        entry.sources++;
+        if (job.lastRun && (!entry.lastRun || job.lastRun > entry.lastRun)) entry.lastRun = job.lastRun;
+        if (job.nextRun && (!entry.nextRun || job.nextRun < entry.nextRun)) entry.nextRun = job.nextRun;
+      });
+    });
+
+    return {
+      running: this.started,
+      startedAt: this.startedAt,
+      baseInterval: this.interval,
+      jitter: this.jitter,
+      sections,
+      jobs
+    };
+  }
+}
+
+module.exports = IngestionScheduler;
@@ -0,0 +1,280 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// 알려진 모델의 컨텍스트 길이와 1K 토큰당 가격 (USD)
+const MODELS = {
+  'gpt-3.5-turbo': { maxContextTokens: 16385, maxOutputTokens: 4096, pricing: { input: 0.0005, output: 0.0015 } },
+  'gpt-4o-mini': { maxContextTokens: 128000, maxOutputTokens: 16384, pricing: { input: 0.00015, output: 0.0006 } },
+  'gpt-4o': { maxContextTokens: 128000, maxOutputTokens: 16384, pricing: { input: 0.0025, output: 0.01 } }
+};
+const DEFAULT_LIMITS = { maxContextTokens: 8192, maxOutputTokens: 2048, pricing: { input: 0, output: 0 } };
+
+// LLM 제공자 공통 인터페이스
+// chat(messages, options) → { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+// stream(messages, options, onDelta) → chat()과 같은 결과, 생성되는 조각마다 onDelta(text) 호출
+class LLMProvider {
+  constructor({ name, model, maxContextTokens, maxOutputTokens, pricing }) {
+    const known = MODELS[model] || DEFAULT_LIMITS;
+    this.name = name;
+    this.model = model;
+    this.maxContextTokens = maxContextTokens || known.maxContextTokens;
+    this.maxOutputTokens = maxOutputTokens || known.maxOutputTokens;
+    this.pricing = pricing || known.pricing;
+  }
+
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  // 스트리밍을 지원하지 않는 제공자는 전체 응답을 한 조각으로 전달
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const result = await this.chat(messages, options);
+    onDelta(result.content);
+    return result;
+  }
+
+  async complete(prompt, options = {}) {
+    const messages = options.system
+      ? [{ role: 'system', content: options.system }, { role: 'user', content: prompt }]
+      : [{ role: 'user', content: prompt }];
+    return this.chat(messages, options);
+  }
+
+  // 대략적인 토큰 수 (영문 4자당 1토큰, 한중일 문자는 글자당 1토큰)
+  estimateTokens(text) {
+    const value = String(text || '');
+    const cjk = (value.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7a3]/g) || []).length;
+    return cjk + Math.ceil((value.length - cjk) / 4);
+  }
+
+  estimateCost({ promptTokens = 0, completionTokens = 0 } = {}) {
+    return (promptTokens * this.pricing.input + completionTokens * this.pricing.output) / 1000;
+  }
+
+  clampMaxTokens(maxTokens) {
+    return Math.min(maxTokens || this.maxOutputTokens, this.maxOutputTokens);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      maxContextTokens: this.maxContextTokens,
+      maxOutputTokens: this.maxOutputTokens,
+      pricing: this.pricing
+    };
+  }
+}
+
+// OpenAI Chat Completions 호환 엔드포인트 (OpenAI, vLLM/llama.cpp/Ollama 등 로컬 서버)
+// streamUsage: 스트리밍 요청에 stream_options.include_usage를 보낼지 (모르는 서버가 400을 주면 끄고 다시 요청)
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseUrl, apiKey, timeout = 15000, streamUsage = true, ...options }) {
+    super(options);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.streamUsage = streamUsage;
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  // 응답에 usage가 없으면(일부 로컬 서버) 추정치 사용
+  result(messages, content, model, usage = {}) {
+    const promptTokens = usage.prompt_tokens ?? this.estimateTokens(messages.map(m => m.content).join('\n'));
+    const completionTokens = usage.completion_tokens ?? this.estimateTokens(content);
+
+    return {
+      content,
+      model: model || this.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  // json: true면 JSON 객체 응답을 요청 (response_format)
+  async chat(messages, { maxTokens, temperature = 0.3, timeout, json = false } = {}) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      max_tokens: this.clampMaxTokens(maxTokens),
+      temperature,
+      response_format: json ? { type: 'json_object' } : undefined
+    }, {
+      headers: this.headers(),
+      timeout: timeout || this.timeout
+    });
+
+    const content = response.data.choices[0].message.content.trim();
+    return this.result(messages, content, response.data.model, response.data.usage);
+  }
+
+  // stream: true 응답(SSE "data: {...}" 줄)을 읽으며 delta.content를 전달
+  // signal: 클라이언트가 연결을 끊으면 요청을 중단하기 위한 AbortSignal
+  async stream(messages, { maxTokens, temperature = 0.3, timeout, signal } = {}, onDelta = () => {}) {
+    const request = () => axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      max_tokens: this.clampMaxTokens(maxTokens),
+      temperature,
+      stream: true,
+      stream_options: this.streamUsage ? { include_usage: true } : undefined
+    }, {
+      headers: this.headers(),
+      timeout: timeout || this.timeout,
+      responseType: 'stream',
+      signal
+    });
+
+    let response;
+    try {
+      response = await request();
+    } catch (error) {
+      if (!this.streamUsage || !error.response || error.response.status !== 400) throw error;
+      // stream_options를 지원하지 않는 서버: 이후 요청부터 빼고 보냄 (usage는 추정치 사용)
+      this.streamUsage = false;
+      response = await request();
+    }
+
+    // 여러 바이트 문자가 조각 경계에서 잘리지 않도록 디코더 사용
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let content = '';
+    let model = null;
+    let usage;
+
+    for await (const chunk of response.data) {
+      buffer += decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (error) {
+          continue;
+        }
+
+        model = event.model || model;
+        usage = event.usage || usage;
+        const delta = event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      }
+    }
+
+    return this.result(messages, content.trim(), model, usage);
+  }
+
+  describe() {
+    return { ...super.describe(), baseUrl: this.baseUrl };
+  }
+}
+
+// 네트워크 없이 동작하는 결정적 모의 제공자 (테스트/로컬 개발용)
+// 마지막 사용자 메시지의 본문(첫 빈 줄 이후)을 그대로 돌려주므로, 같은 입력에는 항상 같은 출력이 나온다.
+class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'mock', model: 'mock', ...options, pricing: { input: 0, output: 0 } });
+  }
+
+  // 단어 단위로 나눠 흘려보내는 모의 스트리밍
+  async stream(messages, options = {}, onDelta = () => {}) {
+    const result = await this.chat(messages, options);
+    for (const piece of result.content.match(/\S+\s*/g) || []) {
+      if (options.signal && options.signal.aborted) break;
+      onDelta(piece);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return result;
+  }
+
+  async chat(messages, { maxTokens } = {}) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const last = [...messages].reverse().find(message => message.role === 'user');
+    const text = last ? last.content : '';
+    const payload = text.includes('\n\n') ? text.slice(text.indexOf('\n\n') + 2) : text;
+
+    const limitChars = this.clampMaxTokens(maxTokens) * 4;
+    const content = payload.trim().substring(0, limitChars)
+      || `mock-${crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8)}`;
+
+    const promptTokens = this.estimateTokens(prompt);
+    const completionTokens = this.estimateTokens(content);
+    return {
+      content,
+      model: this.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+// 환경 변수로 제공자 선택
+// LLM_PROVIDER=openai|local|mock|none (기본: OPENAI_API_KEY가 있으면 openai, 없으면 none)
+function createProvider(env = process.env) {
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+  const type = (env.LLM_PROVIDER || (apiKey ? 'openai' : 'none')).toLowerCase();
+  const limits = {
+    maxContextTokens: parseInt(env.LLM_MAX_CONTEXT_TOKENS) || undefined,
+    maxOutputTokens: parseInt(env.LLM_MAX_OUTPUT_TOKENS) || undefined,
+    pricing: env.LLM_PRICE_INPUT || env.LLM_PRICE_OUTPUT
+      ? { input: parseFloat(env.LLM_PRICE_INPUT) || 0, output: parseFloat(env.LLM_PRICE_OUTPUT) || 0 }
+      : undefined
+  };
+  const timeout = parseInt(env.LLM_TIMEOUT) || 15000;
+
+  switch (type) {
+    case 'none':
+      return null;
+
+    case 'openai':
+      if (!apiKey) return null;
+      return new OpenAICompatibleProvider({
+        name: 'openai',
+        model: env.LLM_MODEL || 'gpt-3.5-turbo',
+        baseUrl: env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey,
+        timeout,
+        ...limits
+      });
+
+    case 'local':
+      return new OpenAICompatibleProvider({
+        name: 'local',
+        model: env.LLM_MODEL || 'local-model',
+        baseUrl: env.LLM_BASE_URL || 'http://localhost:8000/v1',
+        apiKey: env.LLM_API_KEY,
+        timeout: parseInt(env.LLM_TIMEOUT) || 60000,
+        streamUsage: env.LLM_STREAM_USAGE === 'true',
+        ...limits
+      });
+
+    case 'mock':
+      return new MockProvider({ model: env.LLM_MODEL || 'mock', ...limits });
+
+    default:
+      throw new ValidationError(`Unknown LLM_PROVIDER: ${type} (use openai, local, mock or none)`, 'LLM_PROVIDER');
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  createProvider,
+  MODELS
+};
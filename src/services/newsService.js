@@ -1,38 +1,88 @@
-const Parser = require('rss-parser');
 const logger = require('../utils/logger');
 const { redis } = require('../config/database');
 const aiService = require('./aiservice');
+const sourceRegistry = require('./sourceRegistry');
+const IngestionScheduler = require('./ingestionScheduler');
+const feedFetcher = require('./feedFetcher');
+const sourceHealth = require('./sourceHealth');
+const articleStore = require('./articleStore');
+const articleExtractor = require('./articleExtractor');
+const enrichmentQueue = require('./enrichmentQueue');
+const storyClusterer = require('./storyClusterer');
+const storyTimeline = require('./storyTimeline');
+const entityExtractor = require('./entityExtractor');
+const sentimentAnalyzer = require('./sentimentAnalyzer');
+const youtubeService = require('./youtubeservice');
+const { SECTIONS } = require('./sourceRegistry');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../middleware/errorHandler');
+const { runWithDeadline } = require('../utils/concurrency');
+const { articleId } = require('../utils/url');
+const { detectLanguage } = require('../utils/language');
+const { decodeCursor, paginate } = require('../utils/pagination');
+
+// 같은 발행 시각의 기사가 커서 경계에 걸칠 때를 대비한 여유분
+const CURSOR_SLACK = 20;
+
+// lang 번역을 기다리는 최대 시간 (캐시된 번역만 이 안에 돌아옴)
+const LOCALIZE_WAIT_MS = 500;
+
+// 보강 큐가 채우는 필드 (내용이 바뀌지 않은 기사를 다시 수집할 때 그대로 유지)
+const ENRICHMENT_FIELDS = [
+    'titleKo', 'descriptionKo', 'aiDetailedSummary', 'originalTextKo', 'summaryPoints',
+    'hasTranslation', 'hasSummary', 'hasFullText', 'content', 'byline', 'entities', 'sentiment', 'tone',
+    'enrichment', 'enrichedAt', 'enrichmentFailures'
+];
+
+// 보강에 실패한 기사 재시도: 6시간부터 두 배씩 늘어나는 간격, 최대 3회 (제목·설명이 바뀌면 다시 처음부터)
+const ENRICHMENT_RETRY_MS = 6 * 60 * 60 * 1000;
+const ENRICHMENT_MAX_FAILURES = 3;
+
+// 스토리 클러스터링 대상: 최근 48시간, 섹션당 최대 300개 기사
+const STORY_WINDOW_MS = 48 * 60 * 60 * 1000;
+const STORY_MAX_ARTICLES = 300;
+const STORY_CACHE_MS = 60 * 1000;
+
+// 감성 필터·집계 대상: 조회 범위의 최근 기사 최대 300개 (집계는 섹션·범위별로 1분 캐시)
+const SENTIMENT_SCAN = 300;
+const SENTIMENT_CACHE_MS = 60 * 1000;
+const SENTIMENT_CACHE_LIMIT = 100;
+
+// 검색: 요청마다 저장된 기사를 최신순으로 최대 600개만 훑는다 (전체 섹션이면 섹션마다 나눠서).
+// 더 오래된 기사는 before/after로 범위를 좁혀 찾는다.
+const SEARCH_SCAN = 600;
+
+// 개체 페이지: 영상은 섹션별 캐시된 목록에서 찾고, 오래 걸리면 건너뜀
+const ENTITY_VIDEO_DEADLINE_MS = 3000;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class NewsService {
     constructor() {
-        this.parser = new Parser({ timeout: 5000 });
-        this.sources = {
-            world: [
-                { url: 'https://feeds.bbci.co.uk/news/world/rss.xml', name: 'BBC' },
-                { url: 'https://rss.cnn.com/rss/edition_world.rss', name: 'CNN' }
-            ],
-            korea: [
-                { url: 'https://fs.jtbc.co.kr/RSS/newsflash.xml', name: 'JTBC' }
-            ],
-            kr: [
-                { url: 'https://fs.jtbc.co.kr/RSS/newsflash.xml', name: 'JTBC' }
-            ],
-            tech: [
-                { url: 'https://feeds.feedburner.com/TechCrunch/', name: 'TechCrunch' },
-                { url: 'https://www.androidauthority.com/feed/', name: 'Android Authority' },
-                { url: 'https://9to5mac.com/feed/', name: '9to5Mac' },
-                { url: 'https://feeds.ign.com/ign/all', name: 'IGN' }
-            ],
-            japan: [
-                { url: 'https://www3.nhk.or.jp/rss/news/cat0.xml', name: 'NHK' }
-            ],
-            business: [
-                { url: 'https://feeds.reuters.com/reuters/businessNews', name: 'Reuters Business' }
-            ],
-            buzz: [
-                { url: 'https://feeds.bbci.co.uk/news/entertainment_and_arts/rss.xml', name: 'BBC Entertainment' }
-            ]
-        };
+        this.registry = sourceRegistry;
+        this.latest = new Map();
+        this.inflight = new Map();
+        this.stories = new Map();
+        this.sentimentStats = new Map();
+        this.scheduler = null;
+        this.fetchConcurrency = parseInt(process.env.NEWS_FETCH_CONCURRENCY) || 4;
+        this.sectionDeadline = parseInt(process.env.NEWS_SECTION_DEADLINE_MS) || 8000;
+
+        // 소스 구성이 바뀌면 해당 섹션 캐시를 비운다
+        this.registry.on('change', (source) => {
+            source.sections.forEach(section => {
+                redis.del(`news:${section}`).catch(() => {});
+            });
+            if (source.enabled) {
+                sourceHealth.release(source.id);
+            }
+            if (this.scheduler) {
+                this.scheduler.sync(this.registry.list().filter(s => s.enabled));
+            }
+        });
+        this.registry.on('reload', () => {
+            if (this.scheduler) {
+                this.scheduler.sync(this.registry.list().filter(s => s.enabled));
+            }
+        });
     }
 
     // 시간 차이 계산 함수
@@ -92,24 +142,23 @@ class NewsService {
         return Math.min(5, Math.max(1, Math.round(rating * 10) / 10));
     }
 
-    async getNews(section = 'world', useCache = true) {
+    // 섹션 기사 조회
+    // 수집 결과는 기사 저장소에 쌓이고, news:<section> 키는 마지막 수집 메타데이터(신선도 표시)로 쓴다.
+    async getNews(section = 'world', useCache = true, options = {}) {
+        section = this.registry.resolveSection(section);
+        const {
+            before = null, after = null, limit = 100, cursor = null, lang = null, sentiment = null, sentimentSummary: withSummary = false
+        } = options;
+        const cursorKey = decodeCursor(cursor, `news:${section}`);
         const cacheKey = `news:${section}`;
+        let meta = null;
         
         // Try cache first
         if (useCache) {
             try {
                 const cached = await redis.get(cacheKey);
                 if (cached) {
-                    const parsedCache = JSON.parse(cached);
-                    return {
-                        success: true,
-                        data: {
-                            articles: parsedCache.articles,
-                            total: parsedCache.total,
-                            timestamp: parsedCache.timestamp,
-                            cached: true
-                        }
-                    };
+                    meta = { ...JSON.parse(cached), cached: true };
                 }
             } catch (error) {
                 logger.warn('Cache read failed:', error.message);
@@ -117,105 +166,531 @@ class NewsService {
         }
 
         // Fetch fresh data
-        const sources = this.sources[section] || this.sources.world;
-        const articles = [];
+        if (!meta) {
+            meta = await this.ingestSection(section);
 
-        for (const source of sources) {
-            try {
-                const feed = await this.parser.parseURL(source.url);
-                const items = await Promise.all(feed.items.slice(0, 15).map(async (item) => {
-                    const title = item.title;
-                    const description = item.contentSnippet || item.content || '';
-                    const publishedAt = item.pubDate || new Date().toISOString();
-                    
-                    // 실제 AI 서비스 호출
-                    let titleKo = title;
-                    let descriptionKo = description;
-                    let summaryPoints = ['요약 정보를 생성 중입니다...'];
-                    let aiDetailedSummary = '';
-                    let originalTextKo = description;
-                    
-                    try {
-                        // AI 번역 및 요약 (병렬 처리)
-                        const [translatedTitle, translatedDesc, summaryPts, detailedSummary] = await Promise.all([
-                            aiService.translateToKorean(title),
-                            aiService.translateToKorean(description),
-                            aiService.generateSummaryPoints(description),
-                            aiService.generateDetailedSummary({ title, content: description })
-                        ]);
-                        
-                        titleKo = translatedTitle || title;
-                        descriptionKo = translatedDesc || description;
-                        summaryPoints = summaryPts || ['요약 정보를 생성할 수 없습니다.'];
-                        aiDetailedSummary = detailedSummary || '상세 요약을 생성할 수 없습니다.';
-                        originalTextKo = translatedDesc || description;
-                        
-                    } catch (aiError) {
-                        logger.warn(`AI processing failed for article: ${title.substring(0, 50)}...`, aiError.message);
-                        // AI 실패 시 fallback
-                        summaryPoints = ['AI 요약 서비스를 일시적으로 사용할 수 없습니다.'];
-                        aiDetailedSummary = '상세 요약을 생성할 수 없습니다.';
-                    }
-                    
-                    return {
-                        title,
-                        titleKo,
-                        description,
-                        descriptionKo,
-                        url: item.link,
-                        urlToImage: item.enclosure?.url || null,
-                        source: source.name,
-                        publishedAt,
-                        timeAgo: this.formatTimeAgo(publishedAt),
-                        rating: this.calculateRating(title, description, source.name),
-                        tags: this.generateTags(title, description, source.name),
-                        id: Buffer.from(item.link).toString('base64').slice(0, 12),
-                        // 실제 AI 기능
-                        aiDetailedSummary,
-                        originalTextKo,
-                        summaryPoints,
-                        hasTranslation: titleKo !== title || descriptionKo !== description,
-                        hasSummary: summaryPoints.length > 0,
-                        content: description,
-                        language: 'en',
-                        apiSource: 'RSS',
-                        section
-                    };
-                }));
-                articles.push(...items);
-            } catch (error) {
-                logger.error(`Failed to fetch from ${source.name}:`, error.message);
+            // Cache result (부분 결과는 곧 다시 채워지도록 짧게)
+            if (useCache) {
+                try {
+                    await redis.set(cacheKey, JSON.stringify(meta), { EX: meta.partial ? 60 : 600 });
+                } catch (error) {
+                    logger.warn('Cache write failed:', error.message);
+                }
             }
         }
 
-        // 중복 제거 및 정렬
-        const uniqueArticles = articles.filter((article, index, self) => 
-            index === self.findIndex(a => a.url === article.url)
-        ).sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+        // 커서가 있으면 커서 시각까지(동일 시각 포함) 조회한 뒤 정렬 키로 잘라낸다
+        const upper = cursorKey ? Math.min(before ?? Infinity, cursorKey[0] + 1) : before;
+        // 감성 집계는 요청했거나 sentiment 필터의 total이 필요할 때만 계산
+        const sentimentSummary = withSummary || sentiment
+            ? await this.getSentimentSummary(section, { before, after })
+            : undefined;
+
+        // sentiment 필터는 최근 SENTIMENT_SCAN개 안에서 거르고, total은 같은 범위의 집계 값
+        const stored = sentiment
+            ? await articleStore.list(section, { before: upper, after, limit: SENTIMENT_SCAN })
+            : await articleStore.list(section, { before: upper, after, limit: limit + CURSOR_SLACK });
+        const candidates = sentiment
+            ? stored.articles.filter(article => article.sentiment && article.sentiment.label === sentiment)
+            : stored.articles;
+
+        const page = paginate(candidates, {
+            scope: `news:${section}`,
+            cursor,
+            limit,
+            sortKey: article => [new Date(article.publishedAt).getTime(), article.id]
+        });
+        const total = sentiment
+            ? sentimentSummary[sentiment]
+            : cursorKey ? await articleStore.count(section, { before, after }) : stored.total;
+        const articles = page.items.map(article => this.toSectionArticle(article, section));
+
+        return {
+            success: true,
+            data: {
+                articles: lang ? await this.localizeArticles(articles, lang) : articles,
+                lang: lang || undefined,
+                sentiment: sentiment || undefined,
+                total,
+                nextCursor: page.nextCursor,
+                timestamp: meta.timestamp,
+                cached: !!meta.cached,
+                partial: meta.partial || undefined,
+                timedOutSources: meta.timedOutSources,
+                sources: meta.sources,
+                sentimentSummary: withSummary ? sentimentSummary : undefined
+            }
+        };
+    }
+
+    // 섹션 감성 집계 (라벨별 개수, 평균 점수, 어조별 개수), 섹션·기간별로 잠깐 캐시
+    async getSentimentSummary(section, { before = null, after = null } = {}) {
+        const key = `${section}|${before ?? ''}|${after ?? ''}`;
+        const cached = this.sentimentStats.get(key);
+        if (cached && Date.now() - cached.at < SENTIMENT_CACHE_MS) {
+            return cached.summary;
+        }
+
+        const { articles } = await articleStore.list(section, { before, after, limit: SENTIMENT_SCAN });
+        const summary = sentimentAnalyzer.aggregate(articles);
+
+        this.sentimentStats.delete(key);
+        this.sentimentStats.set(key, { at: Date.now(), summary });
+        if (this.sentimentStats.size > SENTIMENT_CACHE_LIMIT) {
+            this.sentimentStats.delete(this.sentimentStats.keys().next().value);
+        }
+        return summary;
+    }
+
+    // lang으로 제목·설명·요약을 번역해 localized 필드에 담는다 (번역은 언어별로 캐시됨)
+    // 응답은 LLM을 기다리지 않는다: 짧은 대기 안에 끝나지 않은(캐시에 없는) 기사는 원문 필드와 pending: true로 돌려주고,
+    // 이미 시작된 번역은 백그라운드에서 끝나 다음 요청 때 캐시로 제공된다.
+    async localizeArticles(articles, lang) {
+        if (lang === 'ko') {
+            return articles.map(article => ({
+                ...article,
+                localized: {
+                    lang,
+                    title: article.titleKo || article.title,
+                    description: article.descriptionKo || article.description,
+                    summaryPoints: article.summaryPoints,
+                    detailedSummary: article.aiDetailedSummary
+                }
+            }));
+        }
+
+        const { results } = await runWithDeadline(articles, article => this.localizeArticle(article, lang), {
+            concurrency: this.fetchConcurrency,
+            deadline: LOCALIZE_WAIT_MS
+        });
+        const localized = new Map(results.map(({ item, value }) => [item.id, value]));
+
+        return articles.map(article => ({
+            ...article,
+            localized: localized.get(article.id) || {
+                lang,
+                title: article.title,
+                description: article.description,
+                summaryPoints: article.summaryPoints,
+                detailedSummary: article.aiDetailedSummary,
+                pending: true
+            }
+        }));
+    }
 
-        const result = {
-            articles: uniqueArticles,
-            total: uniqueArticles.length,
+    async localizeArticle(article, lang) {
+        const source = article.language || 'en';
+        const section = article.section;
+        const points = article.summaryPoints || [];
+
+        // 요약은 AI가 만든 한국어일 수도, 원문에서 뽑은 문장일 수도 있으므로 언어를 감지
+        const [title, description, translatedPoints, detailedSummary] = await Promise.all([
+            aiService.translate(article.title, { source, target: lang, section }),
+            aiService.translate(article.description, { source, target: lang, section }),
+            points.length > 0 ? aiService.translate(points.join('\n'), { target: lang, section }) : '',
+            article.aiDetailedSummary ? aiService.translate(article.aiDetailedSummary, { target: lang, section }) : ''
+        ]);
+
+        return {
+            lang,
+            title,
+            description,
+            summaryPoints: translatedPoints ? translatedPoints.split('\n').map(point => point.trim()).filter(Boolean) : [],
+            detailedSummary
+        };
+    }
+
+    async ingestSection(section) {
+        await this.registry.ensureLoaded();
+        const sources = this.registry.getSources(this.registry.isValidSection(section) ? section : 'world');
+
+        // 소스를 동시에 수집하되 섹션 전체 데드라인이 지나면 모인 기사만 반환
+        const { errors, timedOut } = await runWithDeadline(sources, source => this.fetchSource(source), {
+            concurrency: this.fetchConcurrency,
+            deadline: this.sectionDeadline
+        });
+
+        errors.forEach(({ item: source, error }) => {
+            logger.error(`Failed to fetch from ${source.name}:`, error.message);
+        });
+
+        const meta = {
             timestamp: new Date().toISOString(),
-            cached: false,
             sources: sources.map(s => s.name)
         };
 
-        // Cache result
-        if (useCache) {
-            try {
-                await redis.set(cacheKey, JSON.stringify(result), { EX: 600 });
-            } catch (error) {
-                logger.warn('Cache write failed:', error.message);
-            }
+        if (timedOut.length > 0) {
+            logger.warn(`Section ${section} deadline reached, ${timedOut.length} source(s) still pending`);
+            meta.partial = true;
+            meta.timedOutSources = timedOut.map(s => s.name);
         }
 
+        return meta;
+    }
+
+    // 섹션 스토리 목록: 여러 소스가 보도한 같은 사건을 하나의 스토리로 묶어 반환
+    async getStories(section = 'world', { limit = 20, cursor = null } = {}) {
+        const news = await this.getNews(section, true, { limit: 1 });
+        const clusters = await this.clusterSection(section, news.data.timestamp);
+
+        const page = paginate(clusters, {
+            scope: `stories:${section}`,
+            cursor,
+            limit,
+            sortKey: story => [story.size, new Date(story.lastPublishedAt).getTime(), story.id]
+        });
+
         return {
             success: true,
-            data: result
+            data: {
+                stories: page.items.map(story => ({
+                    ...story,
+                    articles: story.articles.map(article => this.toSectionArticle(article, section))
+                })),
+                total: clusters.length,
+                nextCursor: page.nextCursor,
+                timestamp: news.data.timestamp
+            }
+        };
+    }
+
+    // 섹션 수집 시각이 바뀌지 않았으면 직전 클러스터링 결과를 재사용
+    async clusterSection(section, timestamp) {
+        const cached = this.stories.get(section);
+        if (cached && cached.timestamp === timestamp && Date.now() - cached.at < STORY_CACHE_MS) {
+            return cached.clusters;
+        }
+
+        const { articles } = await articleStore.list(section, {
+            after: Date.now() - STORY_WINDOW_MS,
+            limit: STORY_MAX_ARTICLES
+        });
+        // 클러스터 ID를 여러 날에 걸쳐 유지되는 스토리 ID로 교체
+        const clusters = await storyTimeline.track(section, storyClusterer.cluster(articles));
+
+        this.stories.set(section, { timestamp, at: Date.now(), clusters });
+        return clusters;
+    }
+
+    // 스토리 타임라인 (합류한 기사와 변경 사항을 시간순으로)
+    async getStoryTimeline(id) {
+        return storyTimeline.getTimeline(id);
+    }
+
+    // 개체 페이지: 최근 기사, 관련 영상, 일별 언급 추이 (days일, 오늘 포함)
+    async getEntity(id, { days = 14, limit = 20 } = {}) {
+        const since = Date.now() - days * DAY_MS;
+        const [entity, mentions] = await Promise.all([
+            entityExtractor.getEntity(id),
+            entityExtractor.getMentions(id, { since })
+        ]);
+        if (!entity && mentions.length === 0) return null;
+
+        const records = await articleStore.getMany(mentions.slice(0, limit).map(mention => mention.articleId));
+        const articles = records.filter(Boolean).map(article => this.toSectionArticle(article, article.sections[0]));
+
+        const counts = new Map();
+        mentions.forEach(({ at }) => {
+            const date = new Date(at).toISOString().slice(0, 10);
+            counts.set(date, (counts.get(date) || 0) + 1);
+        });
+        const trend = Array.from({ length: days }, (_, index) => {
+            const date = new Date(Date.now() - (days - 1 - index) * DAY_MS).toISOString().slice(0, 10);
+            return { date, count: counts.get(date) || 0 };
+        });
+
+        return {
+            entity: entity ? { ...entityExtractor.describe(entity.id), tickers: entity.tickers || [] } : { id },
+            mentions: mentions.length,
+            trend,
+            articles,
+            videos: await this.getEntityVideos(id, limit)
+        };
+    }
+
+    async getEntityVideos(id, limit) {
+        const { results } = await runWithDeadline(SECTIONS, section => youtubeService.getVideos(section), {
+            concurrency: SECTIONS.length,
+            deadline: ENTITY_VIDEO_DEADLINE_MS
+        });
+
+        const seen = new Set();
+        return results
+            .flatMap(({ value }) => (value && value.data ? value.data.videos : []))
+            .filter(video => {
+                if (seen.has(video.id)) return false;
+                seen.add(video.id);
+                return entityExtractor.mentions(`${video.title}\n${video.description || ''}`, id);
+            })
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+            .slice(0, limit);
+    }
+
+    // 저장된 기사 중 제목·설명·번역 제목에 검색어가 들어간 기사 (섹션이 없으면 전체, 중복 제거)
+    // → { articles, scanned } (scanned: 훑어본 기사 수, SEARCH_SCAN을 넘지 않음)
+    async searchArticles(term, { section = null, before = null, after = null } = {}) {
+        const sections = section ? [section] : SECTIONS;
+        const perSection = Math.ceil(SEARCH_SCAN / sections.length);
+        const matches = (article) => [article.title, article.description, article.titleKo]
+            .some(text => text && text.toLowerCase().includes(term));
+
+        const lists = await Promise.all(sections.map(sect =>
+            articleStore.list(sect, { before, after, limit: perSection })
+        ));
+
+        const results = new Map();
+        lists.forEach(({ articles }, index) => {
+            articles.filter(matches).forEach(article => {
+                if (!results.has(article.id)) results.set(article.id, this.toSectionArticle(article, sections[index]));
+            });
+        });
+
+        return {
+            articles: Array.from(results.values()),
+            scanned: lists.reduce((sum, { articles }) => sum + articles.length, 0)
+        };
+    }
+
+    // 저장된 기사만 조회 (LLM 호출 없음, 스트리밍 응답처럼 바로 헤더를 보내야 할 때)
+    async findArticle(id) {
+        const article = await articleStore.getById(id);
+        return article ? this.toSectionArticle(article, article.sections[0]) : null;
+    }
+
+    // 기사 상세 (저장소에서 ID로 조회)
+    // 추출한 전문의 번역이 아직 없으면 보강 큐에 예약하고 fullTextTranslation: 'pending'으로 바로 응답 (LLM을 기다리지 않음)
+    async getArticle(id) {
+        const article = await this.findArticle(id);
+        if (!article || !article.hasFullText) return article;
+
+        if (!article.originalTextKo && article.content) {
+            enrichmentQueue.enqueueFullText(id);
+            return { ...article, fullTextTranslation: 'pending' };
+        }
+        return { ...article, fullTextTranslation: 'done' };
+    }
+
+    // 기사 상세 요약 스트리밍: AI 보강이 끝난 기사는 저장된 요약을, 아니면 AI 서비스의 스트리밍 요약을 사용
+    // → { summary, cached, source }
+    async streamArticleSummary(article, { onDelta, signal } = {}) {
+        if (article.enrichment === 'done' && article.aiDetailedSummary) {
+            return { summary: article.aiDetailedSummary, cached: true, source: 'article' };
+        }
+
+        return aiService.streamDetailedSummary(article, { section: article.section, onDelta, signal });
+    }
+
+    toSectionArticle(article, section) {
+        return {
+            ...article,
+            timeAgo: this.formatTimeAgo(article.publishedAt),
+            section
+        };
+    }
+
+    // 단일 소스 수집 (동시에 같은 소스를 요청하면 진행 중인 수집을 공유)
+    async fetchSource(source) {
+        if (this.inflight.has(source.id)) {
+            return this.inflight.get(source.id);
+        }
+
+        // 격리된 소스는 건너뛰고 마지막으로 성공한 결과를 사용
+        if (sourceHealth.isQuarantined(source.id)) {
+            const previous = this.latest.get(source.id);
+            return previous ? previous.articles : [];
+        }
+
+        const promise = this.fetchSourceArticles(source)
+            .then(async articles => {
+                const previous = this.latest.get(source.id);
+                if (!previous || previous.articles !== articles) {
+                    // 저장에 실패하면 latest를 갱신하지 않아 304 응답 때도 다음 수집에서 다시 저장
+                    await articleStore.upsert(articles, source.sections);
+                    await entityExtractor.index(articles);
+                    enrichmentQueue.enqueue(articles.filter(article => article.enrichment === 'pending'));
+                }
+                this.latest.set(source.id, { articles, fetchedAt: new Date().toISOString() });
+                return articles;
+            })
+            .finally(() => this.inflight.delete(source.id));
+
+        this.inflight.set(source.id, promise);
+        return promise;
+    }
+
+    async fetchSourceArticles(source) {
+        const startTime = Date.now();
+        let feed, notModified;
+        try {
+            ({ feed, notModified } = await feedFetcher.fetch(source));
+            sourceHealth.recordSuccess(source, {
+                latency: Date.now() - startTime,
+                itemCount: feed.items.length
+            });
+        } catch (error) {
+            sourceHealth.recordFailure(source, error);
+            throw error;
+        }
+
+        // 304 Not Modified: 이전에 만든 기사를 그대로 재사용 (AI 호출 없음)
+        const previous = this.latest.get(source.id);
+        if (notModified && previous) {
+            return previous.articles;
+        }
+
+        const items = feed.items.filter(item => item.link).slice(0, 15);
+        const existing = await articleStore.getMany(items.map(item => articleId(item.link)));
+
+        // AI 번역·요약은 보강 큐가 비동기로 채운다 (여기서는 LLM을 호출하지 않음)
+        return items.map((item, index) => {
+            const title = item.title;
+            const description = item.description || '';
+            const previous = existing[index];
+            // 날짜 없는 항목은 처음 수집한 시각을 유지 (다시 수집할 때마다 최신 기사로 올라오지 않도록)
+            const publishedAt = item.publishedAt || (previous && previous.publishedAt) || new Date().toISOString();
+            const language = detectLanguage(`${title} ${description}`, source.language);
+
+            const article = {
+                title,
+                description,
+                url: item.link,
+                urlToImage: item.image,
+                source: source.name,
+                author: item.author,
+                categories: item.categories,
+                publishedAt,
+                timeAgo: this.formatTimeAgo(publishedAt),
+                rating: this.calculateRating(title, description, source.name),
+                tags: this.generateTags(title, description, source.name),
+                entities: entityExtractor.extract({ title, description }),
+                id: articleId(item.link),
+                language,
+                ...sentimentAnalyzer.analyze({ title, description, language }),
+                apiSource: 'RSS'
+            };
+
+            // 제목·설명이 그대로인 기사는 이미 만든 AI 결과(또는 재시도 대기 중인 실패 상태)를 유지
+            const unchanged = previous && previous.title === title && previous.description === description;
+            if (unchanged && this.keepEnrichment(previous)) {
+                const enriched = {};
+                ENRICHMENT_FIELDS.forEach(field => { enriched[field] = previous[field]; });
+                return {
+                    ...article,
+                    ...enriched,
+                    urlToImage: item.image || previous.urlToImage,
+                    author: item.author || previous.author
+                };
+            }
+
+            return {
+                ...article,
+                titleKo: title,
+                descriptionKo: description,
+                aiDetailedSummary: '',
+                originalTextKo: description,
+                summaryPoints: [],
+                hasTranslation: false,
+                hasSummary: false,
+                hasFullText: false,
+                content: description,
+                enrichment: 'pending',
+                enrichmentFailures: unchanged ? previous.enrichmentFailures || 0 : 0
+            };
+        });
+    }
+
+    // 이전 보강 결과를 그대로 쓸지: 완료됐거나, 실패 후 재시도 간격이 아직 안 지났거나, 재시도 횟수를 다 쓴 경우
+    keepEnrichment(previous) {
+        if (previous.enrichment === 'done') return true;
+        if (previous.enrichment !== 'failed') return false;
+
+        const failures = previous.enrichmentFailures || 1;
+        if (failures >= ENRICHMENT_MAX_FAILURES) return true;
+
+        const failedAt = new Date(previous.enrichedAt).getTime() || 0;
+        return Date.now() - failedAt < ENRICHMENT_RETRY_MS * 2 ** (failures - 1);
+    }
+
+    // 스케줄러에서 호출: 소스를 새로 수집하고 해당 섹션 캐시를 갱신
+    async refreshSource(source) {
+        if (sourceHealth.isQuarantined(source.id)) {
+            return { skipped: 'quarantined' };
+        }
+
+        const articles = await this.fetchSource(source);
+
+        for (const section of source.sections) {
+            const meta = {
+                timestamp: new Date().toISOString(),
+                sources: this.registry.getSources(section).map(s => s.name)
+            };
+            await redis.set(`news:${section}`, JSON.stringify(meta), { EX: this.sectionCacheTtl() });
+        }
+
+        return { articles: articles.length };
+    }
+
+    // 스케줄러가 갱신하는 동안 캐시가 비지 않도록 수집 주기의 두 배로 유지
+    sectionCacheTtl() {
+        const interval = this.scheduler ? this.scheduler.interval : 0;
+        return Math.max(600, Math.ceil((interval * 2) / 1000));
+    }
+
+    startBackgroundUpdates(options = {}) {
+        if (this.scheduler) return;
+
+        this.scheduler = new IngestionScheduler({
+            run: (source) => this.refreshSource(source),
+            interval: options.interval || parseInt(process.env.NEWS_UPDATE_INTERVAL) || 600000
+        });
+
+        Promise.all([this.registry.ensureLoaded(true), sourceHealth.load()])
+            .then(() => this.scheduler.start(this.registry.list().filter(s => s.enabled)))
+            .catch(error => logger.error('Failed to start news ingestion scheduler:', error));
+    }
+
+    // 관리자 요청으로 소스를 바로 수집 (다음 예약 실행은 그대로), 실행 결과가 담긴 작업 상태를 반환
+    async triggerSource(id) {
+        await this.registry.ensureLoaded();
+        const source = this.registry.get(id);
+        if (!source) {
+            throw new NotFoundError(`Source ${id}`);
+        }
+        if (!source.enabled) {
+            throw new ValidationError(`Source ${id} is disabled`, 'id');
+        }
+        if (!this.scheduler || !await this.scheduler.trigger(id)) {
+            throw new ServiceUnavailableError('Ingestion scheduler');
+        }
+
+        return this.scheduler.getStatus().jobs.find(job => job.id === id);
+    }
+
+    stopBackgroundUpdates() {
+        if (this.scheduler) {
+            this.scheduler.stop();
+            this.scheduler = null;
+        }
+    }
+
+    // 전체 소스의 피드 상태 리포트
+    async getSourceHealth() {
+        await this.registry.ensureLoaded();
+        return sourceHealth.getReport(this.registry.list());
+    }
+
+    getStatus() {
+        return {
+            active: true,
+            sources: this.registry.getStatus(),
+            fetchedSources: this.latest.size,
+            fetcher: feedFetcher.getStatus(),
+            extractor: articleExtractor.getStatus(),
+            enrichment: enrichmentQueue.getStatus(),
+            store: articleStore.getStatus(),
+            scheduler: this.scheduler ? this.scheduler.getStatus() : { running: false }
         };
     }
 }
 
 module.exports = new NewsService();
-
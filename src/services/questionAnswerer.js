@@ -0,0 +1,209 @@
+const logger = require('../utils/logger');
+const aiService = require('./aiservice');
+const articleStore = require('./articleStore');
+const entityExtractor = require('./entityExtractor');
+const { SECTIONS } = require('./sourceRegistry');
+const { ValidationError } = require('../middleware/errorHandler');
+const { tokenize, termFrequencies } = require('../utils/text');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 30;
+const MAX_QUESTION_LENGTH = 300;
+const CANDIDATES_PER_SECTION = 300;
+const MAX_SOURCES = 5;
+const PASSAGE_CHARS = 1200;
+
+// BM25 파라미터와 근거 판단 기준 (질문 토큰 중 기사에 등장한 비율)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MIN_COVERAGE = 0.34;
+const ENTITY_BOOST = 3;
+
+// 질문에만 쓰이고 기사 내용과는 상관없는 표현
+const QUESTION_WORDS = new Set([
+  'happened', 'happen', 'happening', 'latest', 'news', 'week', 'today', 'yesterday', 'tell', 'explain', 'know',
+  'update', 'any', 'there', 'going',
+  '무슨', '무엇', '어떻게', '어떤', '있었나', '있었나요', '있나요', '알려줘', '알려주세요', '뭐야', '뭔가요',
+  '소식', '뉴스', '최근', '어제', '주에'
+]);
+
+// 질문 속 기간 표현 → 검색 기간(일)
+const TIME_HINTS = [
+  { pattern: /\b(today|tonight)\b|오늘/i, days: 1 },
+  { pattern: /\byesterday\b|어제/i, days: 2 },
+  { pattern: /\bthis week\b|\bpast week\b|이번\s*주|최근\s*일주일/i, days: 7 },
+  { pattern: /\bthis month\b|\bpast month\b|이번\s*달|최근\s*한\s*달/i, days: 30 }
+];
+
+// 저장된 기사 기반 질의응답
+// 질문과 기사(제목·번역·요약)를 같은 토큰화로 비교하는 BM25 검색으로 근거 기사를 고르고,
+// 질문에 나온 개체(예: "BOJ" → bank-of-japan)를 언급한 기사는 가산점을 준다.
+// 근거 기사가 없으면 LLM을 부르지 않고 답변을 거절하며, LLM 답변도 검색된 기사 ID만 인용으로 인정한다.
+// LLM을 쓸 수 없으면(제공자 없음·예산 소진) 근거 기사의 요약을 모아 추출형 답변을 만든다.
+class QuestionAnswerer {
+  // → { question, answer, supported, citations: [{ id, title, ... }], source: llm|extractive|none, days }
+  async ask(question, { section, days } = {}) {
+    const text = typeof question === 'string' ? question.trim() : '';
+    if (!text || text.length > MAX_QUESTION_LENGTH) {
+      throw new ValidationError(`question is required (max ${MAX_QUESTION_LENGTH} characters)`, 'question');
+    }
+    if (section && !SECTIONS.includes(section)) {
+      throw new ValidationError(`section must be one of: ${SECTIONS.join(', ')}`, 'section');
+    }
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_DAYS)) {
+      throw new ValidationError(`days must be between 1 and ${MAX_DAYS}`, 'days');
+    }
+
+    const window = days || this.timeHint(text) || DEFAULT_DAYS;
+    const sources = await this.retrieve(text, { section, days: window });
+    if (sources.length === 0) {
+      return this.refusal(text, window);
+    }
+
+    let result = null;
+    try {
+      result = await aiService.answerQuestion(text, sources.map(article => this.passage(article)), { section });
+    } catch (error) {
+      logger.warn('Question answering failed, using extractive answer:', error.message);
+    }
+
+    // LLM이 검색된 기사로는 답할 수 없다고 판단한 경우
+    if (result && !result.supported) {
+      return this.refusal(text, window);
+    }
+
+    const byId = new Map(sources.map(article => [article.id, article]));
+    const answer = result || this.extractive(sources);
+    return {
+      question: text,
+      answer: answer.answer,
+      supported: true,
+      citations: answer.citations.map(id => this.citation(byId.get(id))),
+      source: result ? 'llm' : 'extractive',
+      days: window
+    };
+  }
+
+  timeHint(question) {
+    const hint = TIME_HINTS.find(({ pattern }) => pattern.test(question));
+    return hint ? hint.days : null;
+  }
+
+  // 최근 기사 중 질문과 관련 있는 기사 (관련도순, 최대 MAX_SOURCES개)
+  async retrieve(question, { section, days }) {
+    const queryTokens = [...new Set(tokenize(question))].filter(token => !QUESTION_WORDS.has(token));
+    const queryEntities = new Set(entityExtractor.extract({ title: question }).map(entity => entity.id));
+    if (queryTokens.length === 0 && queryEntities.size === 0) return [];
+
+    const after = Date.now() - days * DAY_MS;
+    const lists = await Promise.all((section ? [section] : SECTIONS).map(s =>
+      articleStore.list(s, { after, limit: CANDIDATES_PER_SECTION })
+    ));
+    const candidates = new Map();
+    lists.forEach(({ articles }) => articles.forEach(article => candidates.set(article.id, article)));
+    if (candidates.size === 0) return [];
+
+    const documents = Array.from(candidates.values()).map(article => {
+      const tokens = tokenize(this.text(article));
+      return { article, frequencies: termFrequencies(tokens), length: tokens.length };
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    const documentFrequency = new Map(queryTokens.map(token => [
+      token,
+      documents.filter(doc => doc.frequencies.has(token)).length
+    ]));
+
+    return documents
+      .map(doc => {
+        let score = 0;
+        let matched = 0;
+        queryTokens.forEach(token => {
+          const tf = doc.frequencies.get(token) || 0;
+          if (tf === 0) return;
+          matched++;
+          const df = documentFrequency.get(token);
+          const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        });
+
+        const entityMatch = (doc.article.entities || []).some(entity => queryEntities.has(entity.id));
+        const coverage = queryTokens.length > 0 ? matched / queryTokens.length : 0;
+        return {
+          article: doc.article,
+          score: score + (entityMatch ? ENTITY_BOOST : 0),
+          supported: entityMatch || coverage >= MIN_COVERAGE
+        };
+      })
+      .filter(result => result.supported && result.score > 0)
+      .sort((a, b) => (b.score - a.score) || (new Date(b.article.publishedAt) - new Date(a.article.publishedAt)))
+      .slice(0, MAX_SOURCES)
+      .map(result => result.article);
+  }
+
+  // 검색 대상 텍스트: 원문·번역 제목(두 번), 설명, 요약
+  text(article) {
+    return [
+      article.title,
+      article.title,
+      article.titleKo !== article.title ? article.titleKo : '',
+      article.description,
+      article.descriptionKo !== article.description ? article.descriptionKo : '',
+      ...(article.summaryPoints || []),
+      article.aiDetailedSummary
+    ].filter(Boolean).join('\n');
+  }
+
+  // LLM에 넘길 근거 (ID, 제목, 출처, 발행 시각, 요약 위주 본문)
+  passage(article) {
+    const body = [article.descriptionKo || article.description, article.aiDetailedSummary]
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      id: article.id,
+      title: article.titleKo && article.titleKo !== article.title ? `${article.title} (${article.titleKo})` : article.title,
+      source: article.source,
+      publishedAt: article.publishedAt,
+      text: body.substring(0, PASSAGE_CHARS)
+    };
+  }
+
+  // LLM 없이 근거 기사 요약을 모은 답변
+  extractive(sources) {
+    const cited = sources.slice(0, 3);
+    return {
+      answer: cited.map(article => {
+        const point = (article.summaryPoints || [])[0] || article.descriptionKo || article.description || '';
+        return `- ${article.titleKo || article.title}${point ? `: ${point}` : ''} [${article.id}]`;
+      }).join('\n'),
+      citations: cited.map(article => article.id)
+    };
+  }
+
+  citation(article) {
+    return {
+      id: article.id,
+      title: article.title,
+      titleKo: article.titleKo,
+      source: article.source,
+      url: article.url,
+      publishedAt: article.publishedAt,
+      section: article.sections[0]
+    };
+  }
+
+  refusal(question, days) {
+    return {
+      question,
+      answer: '저장된 기사에서 이 질문에 답할 근거를 찾지 못했습니다.',
+      supported: false,
+      citations: [],
+      source: 'none',
+      days
+    };
+  }
+}
+
+module.exports = new QuestionAnswerer();
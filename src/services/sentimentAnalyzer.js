@@ -0,0 +1,218 @@
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const TONES = ['alarming', 'optimistic', 'cautious', 'neutral'];
+
+// 라벨 경계 (score는 -1~1)
+const LABEL_THRESHOLD = 0.15;
+const OPTIMISTIC_THRESHOLD = 0.3;
+const NEGATION_WINDOW = 3;
+
+// 영어 감성 사전 (가중치 1~2, 시장 기사에 자주 쓰이는 표현 포함)
+const EN_LEXICON = {
+  positive: {
+    gain: 1, gains: 1, rise: 1, rises: 1, rose: 1, growth: 1, grow: 1, grows: 1, improve: 1, improves: 1, improved: 1,
+    recover: 1, recovery: 1, rebound: 1, rally: 1.5, rallies: 1.5, surge: 1.5, surges: 1.5, soar: 2, soars: 2, jump: 1, jumps: 1,
+    record: 1, profit: 1, profits: 1, beat: 1, beats: 1, win: 1, wins: 1, won: 1, success: 1, successful: 1, agreement: 1,
+    deal: 0.5, peace: 1.5, ceasefire: 1, breakthrough: 2, boost: 1, boosts: 1, strong: 1, upbeat: 1.5, optimism: 1.5,
+    optimistic: 1.5, approve: 1, approved: 1, celebrate: 1.5, rescued: 1.5, hope: 1, launch: 0.5, innovative: 1
+  },
+  negative: {
+    fall: 1, falls: 1, fell: 1, drop: 1, drops: 1, decline: 1, declines: 1, slump: 1.5, plunge: 2, plunges: 2, crash: 2,
+    tumble: 1.5, tumbles: 1.5, loss: 1, losses: 1, miss: 1, misses: 1, weak: 1, layoff: 1.5, layoffs: 1.5, cut: 0.5, cuts: 0.5,
+    recession: 2, inflation: 0.5, default: 1.5, bankrupt: 2, bankruptcy: 2, fraud: 2, scandal: 1.5, lawsuit: 1, probe: 1,
+    war: 2, attack: 2, attacks: 2, killed: 2, dead: 2, death: 2, deaths: 2, injured: 1.5, strike: 1, protest: 1, protests: 1,
+    crisis: 2, disaster: 2, fear: 1.5, fears: 1.5, threat: 1.5, threatens: 1.5, warn: 1, warns: 1, warning: 1, collapse: 2,
+    sanctions: 1, tariff: 0.5, tariffs: 0.5, concern: 1, concerns: 1, fail: 1.5, fails: 1.5, failed: 1.5, arrested: 1.5
+  }
+};
+
+// 한국어 감성 사전 (어간 일치: "상승세", "급락했다"도 잡히도록 부분 문자열로 찾음)
+const KO_LEXICON = {
+  positive: {
+    '상승': 1, '급등': 1.5, '반등': 1, '회복': 1, '성장': 1, '개선': 1, '호조': 1.5, '호실적': 1.5, '흑자': 1, '최고치': 1,
+    '신고가': 1.5, '타결': 1, '합의': 1, '평화': 1.5, '휴전': 1, '성공': 1, '돌파': 1, '기대감': 1, '훈풍': 1.5, '수혜': 1,
+    '승리': 1, '우승': 1.5, '구출': 1.5, '승인': 1, '혁신': 1, '강세': 1
+  },
+  negative: {
+    '하락': 1, '급락': 2, '폭락': 2, '약세': 1, '부진': 1.5, '적자': 1.5, '손실': 1, '감소': 1, '침체': 2, '위기': 2,
+    '파산': 2, '부도': 2, '해고': 1.5, '감원': 1.5, '구조조정': 1, '사기': 2, '논란': 1, '의혹': 1, '수사': 1, '소송': 1,
+    '전쟁': 2, '공격': 2, '사망': 2, '부상자': 1.5, '참사': 2, '사고': 1.5, '재난': 2, '파업': 1, '시위': 1, '우려': 1,
+    '경고': 1, '위협': 1.5, '붕괴': 2, '제재': 1, '실패': 1.5, '체포': 1.5, '인플레이션': 1, '관세': 0.5
+  }
+};
+
+// 경보성 어조: 위험·긴급을 알리는 표현
+const ALARM_TERMS = {
+  en: ['breaking', 'urgent', 'emergency', 'alert', 'crisis', 'disaster', 'crash', 'plunge', 'plunges', 'war', 'attack',
+    'attacks', 'killed', 'evacuate', 'evacuation', 'explosion', 'earthquake', 'tsunami', 'outbreak', 'panic', 'collapse'],
+  ko: ['속보', '긴급', '비상', '위기', '재난', '폭락', '급락', '전쟁', '공격', '사망', '대피', '폭발', '지진', '쓰나미',
+    '확산', '공포', '붕괴', '참사']
+};
+
+// 신중한 어조: 불확실성·전망을 나타내는 표현
+const CAUTION_TERMS = {
+  en: ['may', 'might', 'could', 'risk', 'risks', 'uncertain', 'uncertainty', 'volatile', 'volatility', 'caution', 'cautious',
+    'warn', 'warns', 'warning', 'concern', 'concerns', 'mixed', 'slowdown'],
+  ko: ['우려', '불확실', '변동성', '신중', '경계', '관망', '둔화', '가능성', '경고', '혼조']
+};
+
+const EN_NEGATORS = new Set(['not', 'no', 'never', 'without', "n't", 'nor', 'neither']);
+const EN_INTENSIFIERS = { very: 1.5, sharply: 1.5, deeply: 1.5, massive: 1.5, huge: 1.3, biggest: 1.3, steep: 1.3, slightly: 0.5 };
+const KO_NEGATORS = ['않', '없', '못', '아니'];
+
+// 감성·어조 분석기
+// 기본은 영어/한국어 사전 기반 점수이고, AI 보강 때 LLM이 준 값이 있으면 그것으로 보정한다.
+// sentiment: { label: positive|negative|neutral, score: -1~1, source: lexicon|llm }, tone: alarming|optimistic|cautious|neutral
+class SentimentAnalyzer {
+  constructor() {
+    this.useLLM = process.env.SENTIMENT_LLM !== 'false';
+  }
+
+  // article: { title, description, language, titleKo, descriptionKo }
+  analyze(article) {
+    const language = article.language === 'ko' ? 'ko' : article.language === 'en' ? 'en' : null;
+
+    // 영어·한국어 외 언어는 번역문이 있을 때만 한국어 사전으로 분석
+    if (!language) {
+      const translated = article.titleKo && article.titleKo !== article.title;
+      if (!translated) return this.neutral();
+      return this.analyzeText(article.titleKo, article.descriptionKo, 'ko');
+    }
+
+    return this.analyzeText(article.title, article.description, language);
+  }
+
+  analyzeText(title, description, language) {
+    // 제목은 두 배 가중
+    const titleResult = this.score(title || '', language);
+    const bodyResult = this.score(description || '', language);
+    const raw = titleResult.raw * 2 + bodyResult.raw;
+    const alarms = titleResult.alarms * 2 + bodyResult.alarms;
+    const cautions = titleResult.cautions + bodyResult.cautions;
+
+    // 점수를 -1~1로 압축 (표현이 많을수록 1에 가까워짐)
+    const score = Math.round((raw / (Math.abs(raw) + 3)) * 100) / 100;
+    return {
+      sentiment: { label: this.label(score), score, source: 'lexicon' },
+      tone: this.tone(score, alarms, cautions)
+    };
+  }
+
+  score(text, language) {
+    return language === 'ko' ? this.scoreKorean(text) : this.scoreEnglish(text);
+  }
+
+  scoreEnglish(text) {
+    const words = text.toLowerCase().replace(/n't\b/g, " n't").match(/[a-z']+/g) || [];
+    let raw = 0;
+    let negateUntil = -1;
+    let intensity = 1;
+
+    words.forEach((word, index) => {
+      if (EN_NEGATORS.has(word)) {
+        negateUntil = index + NEGATION_WINDOW;
+        return;
+      }
+      if (EN_INTENSIFIERS[word]) {
+        intensity = EN_INTENSIFIERS[word];
+        return;
+      }
+
+      const weight = (EN_LEXICON.positive[word] || 0) - (EN_LEXICON.negative[word] || 0);
+      if (weight !== 0) {
+        raw += weight * intensity * (index <= negateUntil ? -1 : 1);
+      }
+      intensity = 1;
+    });
+
+    return {
+      raw,
+      alarms: words.filter(word => ALARM_TERMS.en.includes(word)).length,
+      cautions: words.filter(word => CAUTION_TERMS.en.includes(word)).length
+    };
+  }
+
+  scoreKorean(text) {
+    const count = (term) => text.split(term).length - 1;
+    let raw = 0;
+
+    const apply = (lexicon, sign) => {
+      Object.entries(lexicon).forEach(([term, weight]) => {
+        let from = 0;
+        let index;
+        while ((index = text.indexOf(term, from)) !== -1) {
+          // 바로 뒤 몇 글자 안에 부정 표현("하락하지 않았다")이 있으면 반대로
+          const tail = text.slice(index + term.length, index + term.length + 6);
+          const negated = KO_NEGATORS.some(negator => tail.includes(negator));
+          raw += weight * sign * (negated ? -1 : 1);
+          from = index + term.length;
+        }
+      });
+    };
+    apply(KO_LEXICON.positive, 1);
+    apply(KO_LEXICON.negative, -1);
+
+    return {
+      raw,
+      alarms: ALARM_TERMS.ko.reduce((sum, term) => sum + count(term), 0),
+      cautions: CAUTION_TERMS.ko.reduce((sum, term) => sum + count(term), 0)
+    };
+  }
+
+  label(score) {
+    if (score >= LABEL_THRESHOLD) return 'positive';
+    if (score <= -LABEL_THRESHOLD) return 'negative';
+    return 'neutral';
+  }
+
+  tone(score, alarms, cautions) {
+    if (alarms >= 2 || (alarms >= 1 && score <= -LABEL_THRESHOLD)) return 'alarming';
+    if (score >= OPTIMISTIC_THRESHOLD) return 'optimistic';
+    if (cautions > 0 || score <= -LABEL_THRESHOLD) return 'cautious';
+    return 'neutral';
+  }
+
+  neutral() {
+    return { sentiment: { label: 'neutral', score: 0, source: 'lexicon' }, tone: 'neutral' };
+  }
+
+  // LLM 응답의 { sentiment: -1~1, tone }을 검증해 반영 (값이 이상하면 사전 결과 유지)
+  refine(baseline, llm) {
+    if (!llm) return baseline;
+
+    const score = typeof llm.sentiment === 'number' ? llm.sentiment : parseFloat(llm.sentiment);
+    if (!Number.isFinite(score) || score < -1 || score > 1) return baseline;
+
+    const rounded = Math.round(score * 100) / 100;
+    return {
+      sentiment: { label: this.label(rounded), score: rounded, source: 'llm' },
+      tone: TONES.includes(llm.tone) ? llm.tone : baseline.tone
+    };
+  }
+
+  // 섹션 집계: 라벨별 개수, 평균 점수, 어조별 개수
+  aggregate(articles) {
+    const counts = Object.fromEntries(SENTIMENTS.map(label => [label, 0]));
+    const tones = Object.fromEntries(TONES.map(tone => [tone, 0]));
+    let total = 0;
+    let sum = 0;
+
+    articles.forEach(article => {
+      if (!article.sentiment) return;
+      counts[article.sentiment.label]++;
+      if (article.tone) tones[article.tone]++;
+      sum += article.sentiment.score;
+      total++;
+    });
+
+    return {
+      articles: total,
+      ...counts,
+      averageScore: total > 0 ? Math.round((sum / total) * 100) / 100 : null,
+      tones
+    };
+  }
+}
+
+module.exports = new SentimentAnalyzer();
+module.exports.SENTIMENTS = SENTIMENTS;
+module.exports.TONES = TONES;
@@ -0,0 +1,140 @@
+const logger = require('../utils/logger');
+const { redis } = require('../config/database');
+
+const HEALTH_KEY = 'sources:health';
+const FAILURE_THRESHOLD = 3;
+const BASE_BACKOFF_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LATENCY_WINDOW = 20;
+
+// 소스별 피드 상태 추적
+// 연속 실패가 FAILURE_THRESHOLD회를 넘으면 격리하고, 실패가 이어질수록 격리 시간을 두 배로 늘린다.
+class SourceHealth {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load() {
+    try {
+      const cached = await redis.get(HEALTH_KEY);
+      if (cached) {
+        Object.values(JSON.parse(cached)).forEach(record => {
+          this.records.set(record.id, record);
+        });
+      }
+    } catch (error) {
+      logger.warn('Source health load failed:', error.message);
+    }
+  }
+
+  async save() {
+    try {
+      await redis.set(HEALTH_KEY, JSON.stringify(Object.fromEntries(this.records)));
+    } catch (error) {
+      logger.warn('Source health save failed:', error.message);
+    }
+  }
+
+  getRecord(id) {
+    if (!this.records.has(id)) {
+      this.records.set(id, {
+        id,
+        lastAttempt: null,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        totalSuccesses: 0,
+        totalFailures: 0,
+        averageLatency: null,
+        itemCount: 0,
+        quarantinedUntil: null,
+        quarantineCount: 0
+      });
+    }
+    return this.records.get(id);
+  }
+
+  recordSuccess(source, { latency, itemCount }) {
+    const record = this.getRecord(source.id);
+    const samples = Math.min(record.totalSuccesses + 1, LATENCY_WINDOW);
+
+    record.lastAttempt = new Date().toISOString();
+    record.lastSuccess = record.lastAttempt;
+    record.consecutiveFailures = 0;
+    record.totalSuccesses++;
+    record.averageLatency = record.averageLatency === null
+      ? latency
+      : Math.round(record.averageLatency + (latency - record.averageLatency) / samples);
+    record.itemCount = itemCount;
+    record.quarantinedUntil = null;
+
+    this.save();
+  }
+
+  recordFailure(source, error) {
+    const record = this.getRecord(source.id);
+
+    record.lastAttempt = new Date().toISOString();
+    record.lastFailure = record.lastAttempt;
+    record.lastError = error.message || String(error);
+    record.consecutiveFailures++;
+    record.totalFailures++;
+
+    if (record.consecutiveFailures >= FAILURE_THRESHOLD) {
+      const backoff = Math.min(
+        BASE_BACKOFF_MS * Math.pow(2, record.consecutiveFailures - FAILURE_THRESHOLD),
+        MAX_BACKOFF_MS
+      );
+      record.quarantinedUntil = new Date(Date.now() + backoff).toISOString();
+      record.quarantineCount++;
+      logger.warn(`🚧 Source ${source.id} quarantined for ${Math.round(backoff / 60000)} minutes after ${record.consecutiveFailures} consecutive failures`);
+    }
+
+    this.save();
+  }
+
+  isQuarantined(id) {
+    const record = this.records.get(id);
+    return !!(record?.quarantinedUntil && new Date(record.quarantinedUntil) > new Date());
+  }
+
+  // 격리 해제 (관리자가 소스를 다시 활성화할 때)
+  release(id) {
+    const record = this.records.get(id);
+    if (record) {
+      record.consecutiveFailures = 0;
+      record.quarantinedUntil = null;
+      this.save();
+    }
+  }
+
+  getState(source) {
+    if (!source.enabled) return 'disabled';
+    const record = this.records.get(source.id);
+    if (!record || !record.lastAttempt) return 'unknown';
+    if (this.isQuarantined(source.id)) return 'quarantined';
+    if (record.consecutiveFailures > 0) return 'failing';
+    return 'healthy';
+  }
+
+  getReport(sources) {
+    const report = sources.map(source => ({
+      id: source.id,
+      name: source.name,
+      url: source.url,
+      sections: source.sections,
+      state: this.getState(source),
+      ...this.getRecord(source.id)
+    }));
+
+    const summary = report.reduce((acc, entry) => {
+      acc[entry.state] = (acc[entry.state] || 0) + 1;
+      return acc;
+    }, { total: report.length });
+
+    return { summary, sources: report };
+  }
+}
+
+module.exports = new SourceHealth();
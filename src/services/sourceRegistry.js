@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const { redis } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const feedNormalizer = require('./feedNormalizer');
+const { runWithDeadline } = require('../utils/concurrency');
+
+const SECTIONS = ['world', 'kr', 'japan', 'tech', 'business', 'buzz'];
+// 예전 섹션 이름 → 현재 섹션
+const SECTION_ALIASES = { korea: 'kr' };
+const OVERRIDES_KEY = 'sources:overrides';
+const OVERRIDES_REFRESH_MS = 60 * 1000;
+
+// 피드 소스 레지스트리
+// 기본 목록은 JSON/YAML 파일(NEWS_SOURCES_FILE, 확장자 .yml·.yaml이면 YAML)에서 읽고, 관리자 API로 바꾼 내용은
+// Redis(sources:overrides)에 id별 덮어쓰기로 저장해 재배포 없이 반영한다.
+class SourceRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.filePath = process.env.NEWS_SOURCES_FILE || path.join(__dirname, '..', 'config', 'sources.json');
+    this.fileSources = this.loadFile();
+    this.overrides = {};
+    this.sources = this.merge();
+    this.lastOverridesLoad = 0;
+  }
+
+  // 잘못된 항목은 건너뛰고 나머지 소스는 그대로 사용
+  loadFile() {
+    let list;
+    try {
+      const raw = this.parseFile(fs.readFileSync(this.filePath, 'utf8'));
+      list = Array.isArray(raw) ? raw : (raw && raw.sources) || [];
+    } catch (error) {
+      logger.error(`Failed to load news sources from ${this.filePath}:`, error.message);
+      return [];
+    }
+
+    const sources = [];
+    const seen = new Set();
+    list.forEach((entry, index) => {
+      try {
+        const source = this.normalize(entry);
+        if (seen.has(source.id)) {
+          throw new ValidationError(`Duplicate source id ${source.id}`, 'id');
+        }
+        seen.add(source.id);
+        sources.push(source);
+      } catch (error) {
+        logger.warn(`Skipping invalid source #${index}${entry && entry.id ? ` (${entry.id})` : ''} in ${this.filePath}:`, error.message);
+      }
+    });
+    return sources;
+  }
+
+  // YAML은 JSON 호환 스키마로 읽는다 (날짜는 문자열 그대로, !!js 같은 사용자 정의 태그는 오류)
+  parseFile(text) {
+    if (/\.ya?ml$/i.test(this.filePath)) {
+      return yaml.load(text, { filename: this.filePath, schema: yaml.JSON_SCHEMA });
+    }
+    return JSON.parse(text);
+  }
+
+  normalize(source) {
+    if (!source || typeof source !== 'object') {
+      throw new ValidationError('Source must be an object');
+    }
+
+    const id = String(source.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      throw new ValidationError('Source id must be a lowercase slug', 'id');
+    }
+
+    if (!source.url || !/^https?:\/\//i.test(source.url)) {
+      throw new ValidationError('Source url must be an http(s) URL', 'url');
+    }
+
+    const sections = [].concat(source.sections || source.section || []).map(section => this.resolveSection(section));
+    if (sections.length === 0 || sections.some(s => !SECTIONS.includes(s))) {
+      throw new ValidationError(`Source sections must be one of: ${SECTIONS.join(', ')}`, 'sections');
+    }
+
+    return {
+      id,
+      name: source.name || id,
+      url: source.url,
+      sections: [...new Set(sections)],
+      language: source.language || 'en',
+      priority: Number.isFinite(Number(source.priority)) ? Number(source.priority) : 5,
+      fetchInterval: parseInt(source.fetchInterval, 10) || null,
+      enabled: source.enabled !== false
+    };
+  }
+
+  merge() {
+    const merged = new Map(this.fileSources.map(source => [source.id, source]));
+
+    for (const [id, override] of Object.entries(this.overrides)) {
+      try {
+        merged.set(id, this.normalize({ ...merged.get(id), ...override, id }));
+      } catch (error) {
+        logger.warn(`Ignoring invalid source override ${id}:`, error.message);
+      }
+    }
+
+    return merged;
+  }
+
+  // Redis 덮어쓰기를 주기적으로 다시 읽어 다른 인스턴스의 변경도 반영
+  async ensureLoaded(force = false) {
+    if (!force && Date.now() - this.lastOverridesLoad < OVERRIDES_REFRESH_MS) {
+      return;
+    }
+
+    this.lastOverridesLoad = Date.now();
+
+    try {
+      const cached = await redis.get(OVERRIDES_KEY);
+      if (cached) {
+        this.overrides = JSON.parse(cached);
+        this.sources = this.merge();
+        this.emit('reload');
+      }
+    } catch (error) {
+      logger.warn('Source overrides load failed:', error.message);
+    }
+  }
+
+  async saveOverrides() {
+    this.sources = this.merge();
+    await redis.set(OVERRIDES_KEY, JSON.stringify(this.overrides));
+  }
+
+  list() {
+    return Array.from(this.sources.values())
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  // 섹션의 활성 소스 (우선순위 높은 순)
+  getSources(section) {
+    return this.list().filter(source => source.enabled && source.sections.includes(section));
+  }
+
+  isValidSection(section) {
+    return SECTIONS.includes(section);
+  }
+
+  resolveSection(section) {
+    return SECTION_ALIASES[section] || section;
+  }
+
+  async add(input) {
+    await this.ensureLoaded(true);
+
+    const source = this.normalize(input);
+    if (this.sources.has(source.id)) {
+      throw new ValidationError(`Source ${source.id} already exists`, 'id');
+    }
+
+    this.overrides[source.id] = source;
+    await this.saveOverrides();
+
+    logger.info(`📰 Source added: ${source.id} (${source.sections.join(', ')})`);
+    this.emit('change', this.get(source.id));
+    return this.get(source.id);
+  }
+
+  async setEnabled(id, enabled) {
+    await this.ensureLoaded(true);
+
+    const source = this.get(id);
+    if (!source) {
+      throw new NotFoundError(`Source ${id}`);
+    }
+
+    this.overrides[id] = { ...this.overrides[id], enabled };
+    await this.saveOverrides();
+
+    logger.info(`📰 Source ${enabled ? 'enabled' : 'disabled'}: ${id}`);
+    this.emit('change', this.get(id));
+    return this.get(id);
+  }
+
+  // 외부 피드 목록(OPML 등) 가져오기
+  // 각 피드를 실제로 파싱해 본 뒤 성공한 것만 활성화하고, 실패한 피드는 비활성 상태로 등록한다.
+  async importFeeds(feeds, { defaultSection = null } = {}) {
+    await this.ensureLoaded(true);
+
+    const report = { added: [], disabled: [], skipped: [] };
+    const knownUrls = new Set(this.list().map(source => source.url));
+    const candidates = [];
+
+    feeds.forEach(feed => {
+      const section = feed.section || defaultSection;
+      if (!section || !SECTIONS.includes(section)) {
+        report.skipped.push({ url: feed.url, title: feed.title, reason: `No section for group "${feed.group || ''}"` });
+      } else if (knownUrls.has(feed.url)) {
+        report.skipped.push({ url: feed.url, title: feed.title, reason: 'Already registered' });
+      } else {
+        knownUrls.add(feed.url);
+        candidates.push({ ...feed, section });
+      }
+    });
+
+    const { results } = await runWithDeadline(candidates, feed => this.test({ url: feed.url }), { concurrency: 4 });
+
+    for (const { item: feed, value: test } of results) {
+      try {
+        const source = this.normalize({
+          id: this.uniqueId(feed.title, feed.url),
+          name: feed.title || new URL(feed.url).hostname,
+          url: feed.url,
+          sections: [feed.section],
+          language: feed.language || 'en',
+          enabled: test.ok
+        });
+
+        this.overrides[source.id] = source;
+        this.sources.set(source.id, source);
+
+        if (test.ok) {
+          report.added.push({ id: source.id, section: feed.section, itemCount: test.itemCount });
+        } else {
+          report.disabled.push({ id: source.id, section: feed.section, error: test.error });
+        }
+      } catch (error) {
+        report.skipped.push({ url: feed.url, title: feed.title, reason: error.message });
+      }
+    }
+
+    if (report.added.length + report.disabled.length > 0) {
+      await this.saveOverrides();
+      [...report.added, ...report.disabled].forEach(({ id }) => this.emit('change', this.get(id)));
+    }
+
+    logger.info(`📰 Feed import: ${report.added.length} added, ${report.disabled.length} disabled, ${report.skipped.length} skipped`);
+    return report;
+  }
+
+  uniqueId(title, url) {
+    const slugify = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    const base = slugify(title) || slugify(new URL(url).hostname.replace(/^www\./, '')) || 'source';
+
+    let id = base;
+    for (let n = 2; this.sources.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  // 피드를 실제로 파싱해 사용 가능한지 확인
+  async test(idOrSource) {
+    const source = typeof idOrSource === 'string' ? this.get(idOrSource) : idOrSource;
+    if (!source || !source.url) {
+      throw new NotFoundError(`Source ${idOrSource}`);
+    }
+
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(source.url, {
+        timeout: 5000,
+        responseType: 'text',
+        transformResponse: data => data
+      });
+      const feed = await feedNormalizer.parse(response.data, response.headers['content-type']);
+      return {
+        ok: true,
+        url: source.url,
+        format: feed.format,
+        title: feed.title,
+        itemCount: feed.items.length,
+        latency: Date.now() - startTime,
+        sample: feed.items.slice(0, 3).map(item => ({
+          title: item.title,
+          link: item.link,
+          publishedAt: item.publishedAt
+        }))
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        url: source.url,
+        latency: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  getStatus() {
+    const sources = this.list();
+    return {
+      file: this.filePath,
+      total: sources.length,
+      enabled: sources.filter(s => s.enabled).length,
+      overrides: Object.keys(this.overrides).length
+    };
+  }
+}
+
+module.exports = new SourceRegistry();
+module.exports.SECTIONS = SECTIONS;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { tokenize, termFrequencies, cosineSimilarity } = require('../utils/text');
+
+const SIMILARITY_THRESHOLD = 0.3;
+const STORY_WINDOW_MS = 48 * 60 * 60 * 1000;
+const BODY_CHARS = 400;
+const KEYWORD_COUNT = 5;
+const HANGUL = /[\uac00-\ud7a3]/;
+
+// 스토리 클러스터링
+// 제목(가중치 2)과 본문 앞부분의 TF-IDF 벡터로 같은 사건을 다룬 기사를 묶는다.
+// 영어 기사는 번역된 한국어 제목도 함께 사용해 한국어 기사와 비교할 수 있게 한다.
+// 같은 언어끼리는 클러스터 중심 벡터와 비교하므로 A-B-C 식의 연쇄 병합이 생기지 않는다.
+class StoryClusterer {
+  constructor() {
+    this.threshold = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || SIMILARITY_THRESHOLD;
+  }
+
+  features(article) {
+    const titles = [article.title, article.titleKo !== article.title ? article.titleKo : '']
+      .filter(Boolean)
+      .join(' ');
+    const body = (article.description || article.content || '').substring(0, BODY_CHARS);
+
+    const frequencies = termFrequencies(tokenize(titles), 2);
+    return termFrequencies(tokenize(body), 1, frequencies);
+  }
+
+  // 기사 목록 안에서 계산한 IDF로 가중치를 다시 매김
+  weigh(vectors) {
+    const documentFrequency = new Map();
+    vectors.forEach(vector => {
+      vector.forEach((value, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    return vectors.map(vector => {
+      const weighted = new Map();
+      vector.forEach((value, term) => {
+        const idf = Math.log((1 + vectors.length) / (1 + documentFrequency.get(term))) + 1;
+        weighted.set(term, value * idf);
+      });
+      return weighted;
+    });
+  }
+
+  // articles → [{ id, headline, headlineKo, representativeId, sources, articles, ... }] (크기·최신순)
+  cluster(articles) {
+    const ordered = [...articles].sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    const vectors = this.weigh(ordered.map(article => this.features(article)));
+    const groups = [];
+
+    ordered.forEach((article, index) => {
+      const vector = vectors[index];
+      const time = new Date(article.publishedAt).getTime() || 0;
+      const korean = HANGUL.test(article.title);
+
+      let best = null;
+      let bestScore = this.threshold;
+      for (const group of groups) {
+        if (time - group.lastTime > STORY_WINDOW_MS) continue;
+        let score = cosineSimilarity(vector, group.centroid);
+
+        // 다른 언어 기사는 번역 제목만 겹치므로 중심 벡터 대신 개별 기사와도 비교
+        group.vectors.forEach((memberVector, memberIndex) => {
+          if (group.korean[memberIndex] !== korean) {
+            score = Math.max(score, cosineSimilarity(vector, memberVector));
+          }
+        });
+
+        if (score >= bestScore) {
+          best = group;
+          bestScore = score;
+        }
+      }
+
+      if (!best) {
+        groups.push({ members: [article], vectors: [vector], korean: [korean], centroid: new Map(vector), lastTime: time });
+        return;
+      }
+
+      best.members.push(article);
+      best.vectors.push(vector);
+      best.korean.push(korean);
+      best.lastTime = Math.max(best.lastTime, time);
+      vector.forEach((value, term) => best.centroid.set(term, (best.centroid.get(term) || 0) + value));
+    });
+
+    return groups
+      .map(group => this.describe(group))
+      .sort((a, b) => (b.size - a.size) || (new Date(b.lastPublishedAt) - new Date(a.lastPublishedAt)));
+  }
+
+  describe({ members, centroid }) {
+    // 대표 기사: 평점이 가장 높은 기사, 같으면 먼저 보도한 기사
+    const representative = members.reduce((best, article) =>
+      ((article.rating || 0) > (best.rating || 0) ? article : best), members[0]);
+
+    const sources = [];
+    const seenSources = new Set();
+    members.forEach(article => {
+      if (seenSources.has(article.source)) return;
+      seenSources.add(article.source);
+      sources.push({ name: article.source, articleId: article.id, url: article.url, publishedAt: article.publishedAt });
+    });
+
+    const keywords = Array.from(centroid.entries())
+      .filter(([term]) => term.length > 2 || /[^\x00-\x7f]/.test(term))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, KEYWORD_COUNT)
+      .map(([term]) => term);
+
+    return {
+      id: this.storyId(members[0]),
+      headline: representative.title,
+      headlineKo: representative.titleKo || representative.title,
+      representativeId: representative.id,
+      urlToImage: representative.urlToImage || (members.find(article => article.urlToImage) || {}).urlToImage || null,
+      size: members.length,
+      sources,
+      keywords,
+      firstPublishedAt: members[0].publishedAt,
+      lastPublishedAt: members[members.length - 1].publishedAt,
+      articleIds: members.map(article => article.id),
+      articles: members
+    };
+  }
+
+  // 스토리 ID: 가장 먼저 보도된 기사 ID에서 파생 (새 기사가 합류해도 유지됨)
+  storyId(firstArticle) {
+    return crypto.createHash('sha1').update(`story:${firstArticle.id}`).digest('hex').slice(0, 16);
+  }
+}
+
+module.exports = new StoryClusterer();
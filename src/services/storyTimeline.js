@@ -0,0 +1,354 @@
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const aiService = require('./aiservice');
+const articleStore = require('./articleStore');
+const { SECTIONS } = require('./sourceRegistry');
+const { runWithDeadline } = require('../utils/concurrency');
+const { tokenize, termFrequencies, cosineSimilarity } = require('../utils/text');
+
+const DATA_KEY = 'stories:data';
+const ARTICLE_KEY = 'stories:article';
+const sectionKey = (section) => `stories:section:${section}`;
+
+// 며칠에 걸친 사건을 같은 스토리로 이어 붙일 때 쓰는 기준
+const CONTINUATION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const CONTINUATION_THRESHOLD = 0.4;
+const MAX_TERMS = 40;
+const MAX_ARTICLES = 200;
+const DELTA_CONCURRENCY = 3;
+const DELTA_DEADLINE_MS = 10000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// 스토리 타임라인 저장소
+// 클러스터링 결과를 영구 스토리에 이어 붙여, 선거·전쟁처럼 며칠씩 이어지는 사건의 기사 순서를 유지한다.
+// Redis: stories:data(HASH id→JSON), stories:section:<section>(ZSET score=마지막 갱신), stories:article(HASH 기사 ID→스토리 ID)
+// "무엇이 바뀌었나" 한 줄 요약은 타임라인을 처음 조회할 때 만들어 스토리에 저장한다.
+class StoryTimeline {
+  constructor() {
+    this.retentionDays = parseInt(process.env.ARTICLE_RETENTION_DAYS) || 30;
+    this.memory = { stories: new Map(), articles: new Map() };
+    this.lastPrune = 0;
+  }
+
+  getRedis() {
+    const client = database.getClient();
+    return client && client.isOpen ? client : null;
+  }
+
+  titleTerms(articles) {
+    const frequencies = new Map();
+    articles.forEach(article => {
+      termFrequencies(tokenize(article.title), 1, frequencies);
+      if (article.titleKo && article.titleKo !== article.title) {
+        termFrequencies(tokenize(article.titleKo), 1, frequencies);
+      }
+    });
+    return frequencies;
+  }
+
+  topTerms(frequencies) {
+    return Object.fromEntries(
+      Array.from(frequencies.entries()).sort((a, b) => b[1] - a[1]).slice(0, MAX_TERMS)
+    );
+  }
+
+  // 섹션 클러스터를 영구 스토리에 반영하고, 클러스터 ID를 스토리 ID로 바꿔 돌려준다
+  async track(section, clusters) {
+    const memberIds = clusters.flatMap(cluster => cluster.articleIds);
+    const knownStoryIds = await this.getStoryIdsForArticles(memberIds);
+    const storyIdByArticle = new Map(memberIds.map((id, index) => [id, knownStoryIds[index]]));
+
+    const recent = await this.listRecent(section, Date.now() - CONTINUATION_WINDOW_MS);
+    const storiesById = new Map(recent.map(story => [story.id, story]));
+    const changed = new Map();
+
+    for (const cluster of clusters) {
+      const terms = this.titleTerms(cluster.articles);
+
+      // 1) 이미 스토리에 속한 기사가 있으면 그 스토리, 2) 최근 스토리와 제목이 충분히 비슷하면 이어 붙임
+      let storyId = cluster.articleIds.map(id => storyIdByArticle.get(id)).find(Boolean);
+      if (!storyId) {
+        const continuation = this.findContinuation(terms, Array.from(storiesById.values()));
+        storyId = continuation ? continuation.id : cluster.id;
+      }
+
+      const story = changed.get(storyId) || storiesById.get(storyId) || await this.getStory(storyId) || {
+        id: storyId,
+        section,
+        createdAt: new Date().toISOString(),
+        articleIds: [],
+        deltas: {},
+        deltaBasis: {},
+        terms: {}
+      };
+
+      const added = cluster.articleIds.filter(id => !story.articleIds.includes(id));
+      if (added.length > 0 || !story.headline) {
+        const mergedTerms = new Map(Object.entries(story.terms));
+        terms.forEach((value, term) => mergedTerms.set(term, (mergedTerms.get(term) || 0) + value));
+
+        Object.assign(story, {
+          headline: cluster.headline,
+          headlineKo: cluster.headlineKo,
+          articleIds: [...story.articleIds, ...added].slice(-MAX_ARTICLES),
+          terms: this.topTerms(mergedTerms),
+          updatedAt: new Date().toISOString()
+        });
+        changed.set(storyId, story);
+        storiesById.set(storyId, story);
+      }
+
+      cluster.id = storyId;
+    }
+
+    await this.save(Array.from(changed.values()));
+    this.pruneIfDue();
+    return this.mergeSameStory(clusters);
+  }
+
+  // 오늘 클러스터 두 개가 같은 장기 스토리에 이어졌다면 하나로 합침
+  mergeSameStory(clusters) {
+    const merged = new Map();
+
+    clusters.forEach(cluster => {
+      const existing = merged.get(cluster.id);
+      if (!existing) {
+        merged.set(cluster.id, cluster);
+        return;
+      }
+
+      const sourceNames = new Set(existing.sources.map(source => source.name));
+      existing.articles = [...existing.articles, ...cluster.articles]
+        .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+      existing.articleIds = existing.articles.map(article => article.id);
+      existing.sources.push(...cluster.sources.filter(source => !sourceNames.has(source.name)));
+      existing.size = existing.articles.length;
+      existing.firstPublishedAt = existing.articles[0].publishedAt;
+      existing.lastPublishedAt = existing.articles[existing.articles.length - 1].publishedAt;
+    });
+
+    return Array.from(merged.values());
+  }
+
+  findContinuation(terms, stories) {
+    let best = null;
+    let bestScore = CONTINUATION_THRESHOLD;
+    for (const story of stories) {
+      const score = cosineSimilarity(terms, new Map(Object.entries(story.terms)));
+      if (score >= bestScore) {
+        best = story;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // 타임라인: 스토리에 합류한 기사와 기사 제목 변경을 시간순으로 나열하고, 직전 항목 대비 변화를 한 줄로 붙인다
+  async getTimeline(storyId) {
+    const story = await this.getStory(storyId);
+    if (!story) return null;
+
+    const articles = (await articleStore.getMany(story.articleIds)).filter(Boolean);
+    const entries = [];
+
+    articles.forEach(article => {
+      entries.push({
+        key: article.id,
+        type: 'article',
+        at: article.publishedAt,
+        articleId: article.id,
+        title: article.title,
+        titleKo: article.titleKo,
+        description: article.description,
+        source: article.source,
+        url: article.url
+      });
+
+      (article.updates || []).forEach(update => {
+        entries.push({
+          key: `${article.id}:${update.at}`,
+          type: 'update',
+          at: update.at,
+          articleId: article.id,
+          title: article.title,
+          titleKo: article.titleKo,
+          previousTitle: update.previous ? update.previous.title : null,
+          fields: update.fields,
+          description: article.description,
+          source: article.source,
+          url: article.url
+        });
+      });
+    });
+
+    entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+    await this.fillDeltas(story, entries);
+    const current = new Set(entries
+      .filter((entry, index) => this.hasCurrentDelta(story, entry, entries[index - 1]))
+      .map(entry => entry.key));
+
+    return {
+      story: {
+        id: story.id,
+        section: story.section,
+        headline: story.headline,
+        headlineKo: story.headlineKo,
+        createdAt: story.createdAt,
+        updatedAt: story.updatedAt,
+        articleCount: articles.length,
+        sources: [...new Set(articles.map(article => article.source))]
+      },
+      timeline: entries.map(({ key, description, ...entry }) => ({
+        ...entry,
+        delta: current.has(key) ? story.deltas[key] : null
+      }))
+    };
+  }
+
+  // delta가 비교한 기준 항목 (첫 항목은 null, 제목이 바뀐 항목은 자기 자신의 이전 제목, 나머지는 직전 항목)
+  deltaBasis(entry, previous) {
+    if (!previous) return null;
+    return entry.type === 'update' && entry.previousTitle ? entry.key : previous.key;
+  }
+
+  // 저장된 delta가 지금 순서의 기준 항목으로 만든 것인지
+  // (발행 시각이 앞선 기사가 늦게 합류하면 뒤 항목의 직전 항목과 '최초 보도'가 바뀐다)
+  hasCurrentDelta(story, entry, previous) {
+    const basis = (story.deltaBasis || {})[entry.key];
+    return Boolean(story.deltas[entry.key]) && basis !== undefined && basis === this.deltaBasis(entry, previous);
+  }
+
+  // 없거나 기준 항목이 바뀐 delta만 생성 (데드라인이 지나면 남은 항목은 다음 조회 때 채움)
+  async fillDeltas(story, entries) {
+    const missing = entries
+      .map((entry, index) => ({ entry, previous: entries[index - 1] }))
+      .filter(({ entry, previous }) => !this.hasCurrentDelta(story, entry, previous));
+    if (missing.length === 0) return;
+
+    const { results } = await runWithDeadline(missing, ({ entry, previous }) => {
+      if (!previous) return '최초 보도';
+      if (entry.type === 'update' && entry.previousTitle) {
+        return aiService.generateStoryDelta({ ...entry, title: entry.previousTitle }, entry, { section: story.section });
+      }
+      return aiService.generateStoryDelta(previous, entry, { section: story.section });
+    }, { concurrency: DELTA_CONCURRENCY, deadline: DELTA_DEADLINE_MS });
+
+    const generated = results.filter(({ value }) => value);
+    if (generated.length === 0) return;
+
+    story.deltaBasis = story.deltaBasis || {};
+    generated.forEach(({ item, value }) => {
+      story.deltas[item.entry.key] = value;
+      story.deltaBasis[item.entry.key] = this.deltaBasis(item.entry, item.previous);
+    });
+    await this.save([story], { indexArticles: false });
+  }
+
+  async getStory(id) {
+    const client = this.getRedis();
+    if (!client) return this.memory.stories.get(id) || null;
+
+    try {
+      const raw = await client.hGet(DATA_KEY, id);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      logger.warn('Story read failed:', error.message);
+      return null;
+    }
+  }
+
+  async getStoryIdsForArticles(articleIds) {
+    if (articleIds.length === 0) return [];
+    const client = this.getRedis();
+    if (!client) return articleIds.map(id => this.memory.articles.get(id) || null);
+
+    try {
+      return await client.hmGet(ARTICLE_KEY, articleIds);
+    } catch (error) {
+      logger.warn('Story index read failed:', error.message);
+      return articleIds.map(() => null);
+    }
+  }
+
+  async listRecent(section, since) {
+    const client = this.getRedis();
+    if (!client) {
+      return Array.from(this.memory.stories.values())
+        .filter(story => story.section === section && new Date(story.updatedAt).getTime() >= since);
+    }
+
+    try {
+      const ids = await client.zRangeByScore(sectionKey(section), since, '+inf');
+      if (ids.length === 0) return [];
+      const raw = await client.hmGet(DATA_KEY, ids);
+      return raw.filter(Boolean).map(item => JSON.parse(item));
+    } catch (error) {
+      logger.warn('Story list failed:', error.message);
+      return [];
+    }
+  }
+
+  async save(stories, { indexArticles = true } = {}) {
+    if (stories.length === 0) return;
+    const client = this.getRedis();
+
+    if (!client) {
+      stories.forEach(story => {
+        this.memory.stories.set(story.id, story);
+        if (indexArticles) story.articleIds.forEach(id => this.memory.articles.set(id, story.id));
+      });
+      return;
+    }
+
+    try {
+      const multi = client.multi();
+      stories.forEach(story => {
+        multi.hSet(DATA_KEY, story.id, JSON.stringify(story));
+        multi.zAdd(sectionKey(story.section), { score: new Date(story.updatedAt).getTime(), value: story.id });
+        if (indexArticles && story.articleIds.length > 0) {
+          multi.hSet(ARTICLE_KEY, Object.fromEntries(story.articleIds.map(id => [id, story.id])));
+        }
+      });
+      await multi.exec();
+    } catch (error) {
+      logger.warn('Story write failed:', error.message);
+    }
+  }
+
+  pruneIfDue() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL_MS) return;
+    this.lastPrune = Date.now();
+    this.prune().catch(error => logger.warn('Story prune failed:', error.message));
+  }
+
+  // 기사 보관 기간 동안 갱신되지 않은 스토리 삭제
+  async prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const client = this.getRedis();
+
+    if (!client) {
+      for (const [id, story] of this.memory.stories) {
+        if (new Date(story.updatedAt).getTime() >= cutoff) continue;
+        this.memory.stories.delete(id);
+        story.articleIds.forEach(articleId => this.memory.articles.delete(articleId));
+      }
+      return;
+    }
+
+    for (const section of SECTIONS) {
+      const expired = await client.zRangeByScore(sectionKey(section), '-inf', cutoff);
+      if (expired.length === 0) continue;
+
+      const raw = await client.hmGet(DATA_KEY, expired);
+      const articleIds = raw.filter(Boolean).flatMap(item => JSON.parse(item).articleIds);
+
+      const multi = client.multi();
+      multi.hDel(DATA_KEY, expired);
+      multi.zRem(sectionKey(section), expired);
+      if (articleIds.length > 0) multi.hDel(ARTICLE_KEY, articleIds);
+      await multi.exec();
+    }
+  }
+}
+
+module.exports = new StoryTimeline();
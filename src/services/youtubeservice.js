@@ -1,6 +1,11 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const database = require('../config/database');
+const { tokenize, jaccard } = require('../utils/text');
+const { detectLanguage } = require('../utils/language');
+
+// 채널 국가별 기본 언어 (제목만으로 판단이 어려울 때 사용)
+const COUNTRY_LANGUAGES = { KR: 'ko', JP: 'ja', FR: 'fr', CN: 'zh' };
 
 class YouTubeService {
   constructor() {
@@ -68,7 +73,7 @@ class YouTubeService {
           success: true,
           data: {
             section,
-            videos: cached.slice(0, 10),
+            videos: cached,
             total: cached.length,
             timestamp: new Date().toISOString(),
             cached: true
@@ -101,7 +106,7 @@ class YouTubeService {
         success: true,
         data: {
           section,
-          videos: videos.slice(0, 10),
+          videos,
           total: videos.length,
           timestamp: new Date().toISOString(),
           cached: false
@@ -172,7 +177,8 @@ class YouTubeService {
         url: `https://www.youtube.com/watch?v=${item.id.videoId}`,
         duration: null, // Will be fetched if needed
         viewCount: null, // Will be fetched if needed
-        country: channel.country
+        country: channel.country,
+        language: this.detectVideoLanguage(item.snippet.title, item.snippet.description, channel.country)
       }));
 
       return videos;
@@ -265,7 +271,14 @@ class YouTubeService {
       ]
     };
 
-    return mockData[section] || mockData.world;
+    return (mockData[section] || mockData.world).map(video => ({
+      ...video,
+      language: this.detectVideoLanguage(video.title, video.description, video.country)
+    }));
+  }
+
+  detectVideoLanguage(title, description, country) {
+    return detectLanguage(`${title || ''} ${description || ''}`, COUNTRY_LANGUAGES[country] || 'en');
   }
 
   cleanTitle(title) {
@@ -282,14 +295,20 @@ class YouTubeService {
       .substring(0, 200);
   }
 
+  // 같은 영상 ID이거나 제목 토큰이 대부분 겹치는(재업로드, 채널별 같은 보도) 영상 제거
   removeDuplicates(videos) {
-    const seen = new Set();
+    const seenIds = new Set();
+    const kept = [];
     return videos.filter(video => {
-      const key = video.title.toLowerCase().substring(0, 30);
-      if (seen.has(key)) {
+      if (seenIds.has(video.id)) {
+        return false;
+      }
+      const tokens = new Set(tokenize(video.title));
+      if (kept.some(previous => jaccard(previous, tokens) >= 0.6)) {
         return false;
       }
-      seen.add(key);
+      seenIds.add(video.id);
+      kept.push(tokens);
       return true;
     });
   }
@@ -0,0 +1,105 @@
+const { httpUrl } = require('./url');
+
+// 브리핑 문서 변환 (Markdown, HTML)
+// day: { section, date, briefings: [{ heading, edition, intro, generatedAt, items: [...] }] }
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Markdown 링크 텍스트에서 문법 문자 이스케이프
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+// 링크 주소: http(s)만 허용하고 괄호·공백 등 Markdown/HTML에서 링크를 깨는 문자는 퍼센트 인코딩
+function linkUrl(url) {
+  const href = httpUrl(url);
+  if (!href) return null;
+  return href.replace(/[()<>"'\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function itemSources(item) {
+  return item.sourceCount > 1 ? `${item.source} 외 ${item.sourceCount - 1}개 매체` : item.source;
+}
+
+function renderMarkdown(day) {
+  const sections = day.briefings.map(briefing => {
+    const items = briefing.items.map(item => [
+      `${item.rank}. **${markdownLink(item.titleKo || item.title, item.url)}** — ${escapeMarkdown(itemSources(item))}`,
+      ...item.summary.map(line => `   - ${escapeMarkdown(line)}`)
+    ].join('\n'));
+
+    return [
+      `## ${briefing.heading}`,
+      '',
+      escapeMarkdown(briefing.intro),
+      '',
+      items.length > 0 ? items.join('\n') : '_기사가 없습니다._',
+      '',
+      `_${briefing.generatedAt} 작성_`
+    ].join('\n');
+  });
+
+  return `# ${day.date} 브리핑\n\n${sections.join('\n\n')}\n`;
+}
+
+function markdownLink(text, url) {
+  const href = linkUrl(url);
+  return href ? `[${escapeMarkdown(text)}](${href})` : escapeMarkdown(text);
+}
+
+function htmlLink(text, url) {
+  const href = linkUrl(url);
+  return href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+function renderHtml(day) {
+  const sections = day.briefings.map(briefing => {
+    const items = briefing.items.map(item => `
+      <li>
+        ${htmlLink(item.titleKo || item.title, item.url)}
+        <span class="source">${escapeHtml(itemSources(item))}</span>
+        ${item.summary.map(line => `<p>${escapeHtml(line)}</p>`).join('\n        ')}
+      </li>`).join('');
+
+    return `
+  <section id="${escapeHtml(briefing.edition)}">
+    <h2>${escapeHtml(briefing.heading)}</h2>
+    <p class="intro">${escapeHtml(briefing.intro)}</p>
+    ${items ? `<ol>${items}\n    </ol>` : '<p>기사가 없습니다.</p>'}
+    <p class="meta">${escapeHtml(briefing.generatedAt)} 작성</p>
+  </section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(day.date)} 브리핑</title>
+  <style>
+    body { font-family: -apple-system, 'Apple SD Gothic Neo', 'Noto Sans KR', sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #222; }
+    .intro { font-size: 1.05rem; }
+    li { margin-bottom: 1rem; }
+    li p { margin: 0.2rem 0; }
+    .source, .meta { color: #777; font-size: 0.85rem; }
+    .source { margin-left: 0.5rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(day.date)} 브리핑</h1>${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderMarkdown,
+  renderHtml
+};
@@ -0,0 +1,76 @@
+// 동시 실행 수를 제한한 작업 풀
+// deadline(ms)이 지나면 끝난 작업의 결과만 돌려주고, 끝나지 않았거나 시작하지 못한 항목은 timedOut으로 보고한다.
+// 이미 시작된 작업은 취소되지 않고 백그라운드에서 계속 진행된다.
+async function runWithDeadline(items, worker, { concurrency = 4, deadline = Infinity } = {}) {
+  const results = [];
+  const errors = [];
+  const finished = new Set();
+  let nextIndex = 0;
+  let expired = false;
+
+  const runWorker = async () => {
+    while (!expired && nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        const value = await worker(item, index);
+        if (!expired) results.push({ item, value });
+      } catch (error) {
+        if (!expired) errors.push({ item, error });
+      } finally {
+        if (!expired) finished.add(index);
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, runWorker);
+  const allDone = Promise.all(workers);
+
+  let timer;
+  const deadlinePassed = Number.isFinite(deadline)
+    ? new Promise(resolve => { timer = setTimeout(resolve, deadline); })
+    : new Promise(() => {});
+
+  await Promise.race([allDone, deadlinePassed]);
+  clearTimeout(timer);
+  expired = true;
+
+  const timedOut = items.filter((item, index) => !finished.has(index));
+
+  return {
+    results,
+    errors,
+    timedOut,
+    partial: timedOut.length > 0
+  };
+}
+
+// 공유 동시성 제한기: 여러 호출자가 같은 한도를 나눠 쓸 때 사용
+// const limit = createLimiter(4); await limit(() => fetchSomething());
+function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+module.exports = {
+  runWithDeadline,
+  createLimiter
+};
@@ -0,0 +1,127 @@
+// 언어 감지: 문자 체계(script)로 먼저 가르고, 라틴 문자는 자주 쓰는 단어·3-gram 빈도로 구분한다.
+// 반환값은 ISO 639-1 코드이며, 판단할 근거가 부족하면 fallback을 돌려준다.
+
+const SCRIPTS = [
+  { name: 'hangul', pattern: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7a3]/g },
+  { name: 'kana', pattern: /[\u3040-\u30ff\u31f0-\u31ff]/g },
+  { name: 'han', pattern: /[\u3400-\u4dbf\u4e00-\u9fff]/g },
+  { name: 'cyrillic', pattern: /[\u0400-\u04ff]/g },
+  { name: 'arabic', pattern: /[\u0600-\u06ff]/g },
+  { name: 'thai', pattern: /[\u0e00-\u0e7f]/g },
+  { name: 'latin', pattern: /[a-zA-Z\u00c0-\u024f]/g }
+];
+
+// 라틴 문자 언어별 고빈도 단어와 특징적인 3-gram
+const LATIN_PROFILES = {
+  en: {
+    words: ['the', 'and', 'of', 'to', 'in', 'is', 'for', 'on', 'that', 'with', 'as', 'was', 'by', 'it', 'from', 'at', 'are', 'has', 'after', 'says'],
+    trigrams: ['the', 'he ', 'ing', 'ng ', 'and', 'nd ', ' th', 'ion', 'tio', ' of', 'of ', 'ed ', ' to', 'to ']
+  },
+  fr: {
+    words: ['le', 'la', 'les', 'de', 'des', 'et', 'en', 'un', 'une', 'du', 'est', 'pour', 'dans', 'qui', 'que', 'sur', 'au', 'pas', 'avec', 'plus'],
+    trigrams: [' de', 'es ', 'de ', ' le', 'ent', 'le ', 'nt ', 'la ', ' la', 'les', 'ion', 'que', ' qu', 'des']
+  },
+  de: {
+    words: ['der', 'die', 'und', 'den', 'das', 'ist', 'nicht', 'mit', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'ein', 'eine', 'von', 'zu', 'auch', 'wird'],
+    trigrams: ['en ', 'er ', ' de', 'der', 'die', 'ie ', 'ch ', 'sch', 'ich', 'ein', 'und', 'nd ', ' un', 'den']
+  },
+  es: {
+    words: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'se', 'por', 'un', 'una', 'con', 'para', 'es', 'al', 'lo', 'como', 'más'],
+    trigrams: [' de', 'de ', 'os ', ' la', 'la ', 'el ', 'es ', ' el', 'que', ' qu', 'ue ', 'as ', 'ado', 'ión']
+  },
+  pt: {
+    words: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'os', 'as', 'no', 'na', 'para', 'com', 'não', 'dos', 'das', 'mais'],
+    trigrams: [' de', 'de ', 'os ', ' da', 'do ', ' do', 'da ', 'ão ', 'ção', 'que', 'as ', ' qu', 'ent', 'nte']
+  },
+  it: {
+    words: ['il', 'la', 'di', 'che', 'e', 'in', 'un', 'una', 'per', 'del', 'della', 'non', 'con', 'sono', 'le', 'gli', 'dei', 'al', 'si', 'più'],
+    trigrams: [' di', 'di ', 'la ', ' la', 'che', ' ch', 'he ', 'to ', 'one', 'del', 'ell', 'lla', 'zio', ' il']
+  }
+};
+
+const LANGUAGE_NAMES = {
+  ko: 'Korean',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  en: 'English',
+  fr: 'French',
+  de: 'German',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  it: 'Italian',
+  ru: 'Russian',
+  ar: 'Arabic',
+  th: 'Thai'
+};
+
+function countScripts(text) {
+  const counts = {};
+  SCRIPTS.forEach(({ name, pattern }) => {
+    counts[name] = (text.match(pattern) || []).length;
+  });
+  return counts;
+}
+
+function detectLatin(text, fallback) {
+  const lower = text.toLowerCase();
+  const words = lower.match(/[a-z\u00c0-\u024f]+/g) || [];
+  if (words.length < 3) return null;
+
+  const padded = ` ${words.join(' ')} `;
+  const scores = {};
+  const wordHits = {};
+
+  for (const [language, profile] of Object.entries(LATIN_PROFILES)) {
+    const wordSet = new Set(profile.words);
+    wordHits[language] = words.filter(word => wordSet.has(word)).length;
+    let score = wordHits[language] * 2;
+    profile.trigrams.forEach(trigram => {
+      score += padded.split(trigram).length - 1;
+    });
+    // 단어 수로 정규화해 긴 텍스트가 유리하지 않도록
+    scores[language] = score / words.length;
+  }
+
+  const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  if (bestScore < 0.3) return null;
+
+  // 제목처럼 기능어가 거의 없는 텍스트는 3-gram만으로 오판하기 쉬우므로,
+  // 기능어가 보이고 점수가 확실히 앞설 때만 소스 언어를 뒤집는다
+  if (scores[fallback] !== undefined && best !== fallback) {
+    if (wordHits[best] === 0 || scores[fallback] * 1.5 >= bestScore) return fallback;
+  }
+  return best;
+}
+
+// text의 언어 코드 (ko, ja, zh, en, fr, de, es, pt, it, ru, ar, th)
+// fallback: 판단이 어려울 때 쓸 값 (보통 소스에 설정된 언어)
+function detectLanguage(text, fallback = 'en') {
+  const sample = String(text || '').substring(0, 2000);
+  const counts = countScripts(sample);
+  const letters = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (letters < 3) return fallback;
+
+  // 한자/한글/가나가 섞인 경우: 가나가 보이면 일본어, 한글이 우세하면 한국어
+  if (counts.hangul / letters > 0.3) return 'ko';
+  if (counts.kana > 0 && (counts.kana + counts.han) / letters > 0.3) return 'ja';
+  if (counts.han / letters > 0.3) return fallback === 'ja' ? 'ja' : 'zh';
+  if (counts.cyrillic / letters > 0.5) return 'ru';
+  if (counts.arabic / letters > 0.5) return 'ar';
+  if (counts.thai / letters > 0.5) return 'th';
+
+  if (counts.latin / letters > 0.5) {
+    return detectLatin(sample, fallback) || (LATIN_PROFILES[fallback] ? fallback : 'en');
+  }
+
+  return fallback;
+}
+
+function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+module.exports = {
+  detectLanguage,
+  languageName,
+  LANGUAGE_NAMES
+};
@@ -0,0 +1,103 @@
+const xml2js = require('xml2js');
+
+// OPML 그룹 이름 → EmarkNews 섹션
+const SECTION_ALIASES = {
+  world: ['world', 'international', 'global', '국제', '세계', '해외'],
+  kr: ['kr', 'korea', 'korean', '한국', '국내'],
+  japan: ['japan', 'japanese', 'jp', '日本', '일본'],
+  tech: ['tech', 'technology', 'it', 'science', 'gadgets', '기술', '테크', '과학'],
+  business: ['business', 'economy', 'finance', 'markets', 'money', '경제', '비즈니스', '금융'],
+  buzz: ['buzz', 'entertainment', 'culture', 'celebrity', 'viral', '연예', '엔터테인먼트', '화제']
+};
+
+function mapGroupToSection(name) {
+  if (!name) return null;
+  const normalized = String(name).trim().toLowerCase();
+
+  for (const [section, aliases] of Object.entries(SECTION_ALIASES)) {
+    if (aliases.includes(normalized)) return section;
+  }
+
+  // "World News", "Tech & Science" 같은 그룹 이름은 단어 단위로 다시 확인
+  const words = normalized.split(/[^a-z0-9\u3131-\u318e\uac00-\ud7a3\u3040-\u30ff\u4e00-\u9fff]+/).filter(Boolean);
+  for (const [section, aliases] of Object.entries(SECTION_ALIASES)) {
+    if (words.some(word => aliases.includes(word))) return section;
+  }
+
+  return null;
+}
+
+// OPML을 피드 목록으로 평탄화 (각 피드는 가장 가까운 상위 그룹 이름을 가짐)
+async function parseOpml(xml) {
+  const parsed = await xml2js.parseStringPromise(xml, { explicitArray: true });
+  const body = parsed?.opml?.body?.[0];
+  if (!body) {
+    throw new Error('Invalid OPML: missing <body>');
+  }
+
+  const feeds = [];
+  const walk = (outlines, group) => {
+    (outlines || []).forEach(outline => {
+      const attrs = outline.$ || {};
+      const label = attrs.title || attrs.text || null;
+
+      if (attrs.xmlUrl) {
+        feeds.push({
+          title: label,
+          url: attrs.xmlUrl,
+          htmlUrl: attrs.htmlUrl || null,
+          language: attrs.language || null,
+          group
+        });
+      }
+
+      if (outline.outline) {
+        walk(outline.outline, attrs.xmlUrl ? group : (label || group));
+      }
+    });
+  };
+
+  walk(body.outline, null);
+  return feeds;
+}
+
+function buildOpml(title, sources) {
+  const bySection = {};
+  sources.forEach(source => {
+    source.sections.forEach(section => {
+      (bySection[section] = bySection[section] || []).push(source);
+    });
+  });
+
+  const builder = new xml2js.Builder({ rootName: 'opml', xmldec: { version: '1.0', encoding: 'UTF-8' } });
+  return builder.buildObject({
+    $: { version: '2.0' },
+    head: {
+      title,
+      dateCreated: new Date().toUTCString()
+    },
+    body: {
+      outline: Object.keys(SECTION_ALIASES)
+        .filter(section => bySection[section])
+        .map(section => ({
+          $: { text: section, title: section },
+          outline: bySection[section].map(source => ({
+            $: {
+              type: 'rss',
+              text: source.name,
+              title: source.name,
+              xmlUrl: source.url,
+              language: source.language
+            }
+          }))
+        }))
+    }
+  });
+}
+
+module.exports = {
+  SECTION_ALIASES,
+  mapGroupToSection,
+  parseOpml,
+  buildOpml
+};
@@ -0,0 +1,65 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// 커서 페이지네이션
+// 커서는 마지막으로 받은 항목의 정렬 키(예: [발행시각, id])를 base64url로 감싼 불투명 문자열이다.
+// 정렬 키 기준 내림차순으로 커서 "다음" 항목만 돌려주므로, 새 기사가 앞에 추가돼도 다음 페이지가 밀리지 않는다.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(scope, key) {
+  return Buffer.from(JSON.stringify({ s: scope, k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor, scope) {
+  if (!cursor) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.s === scope && Array.isArray(decoded.k)) {
+      return decoded.k;
+    }
+  } catch (error) {
+    // fall through
+  }
+
+  throw new ValidationError('Invalid cursor', 'cursor');
+}
+
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, MAX_LIMIT) : defaultLimit;
+}
+
+// 정렬 키 비교 (내림차순 기준으로 a가 앞이면 음수)
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === undefined) return 1;
+    if (b[i] === undefined) return -1;
+    return a[i] > b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// items를 sortKey 내림차순으로 정렬한 뒤 커서 다음의 limit개와 nextCursor를 반환
+function paginate(items, { scope, cursor, limit = DEFAULT_LIMIT, sortKey }) {
+  const after = decodeCursor(cursor, scope);
+  const sorted = items
+    .map(item => ({ item, key: sortKey(item) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+
+  const remaining = after ? sorted.filter(entry => compareKeys(entry.key, after) > 0) : sorted;
+  const page = remaining.slice(0, limit);
+
+  return {
+    items: page.map(entry => entry.item),
+    nextCursor: remaining.length > limit ? encodeCursor(scope, page[page.length - 1].key) : null
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  paginate
+};
@@ -0,0 +1,104 @@
+// 영어/한국어/일본어 공용 텍스트 토큰화와 유사도 계산
+// 영어는 불용어 제거 + 간단한 복수형 처리, 한국어는 조사 제거 + 글자 bigram, 일본어/중국어는 글자 bigram을 사용한다.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+  'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did',
+  'it', 'its', 'this', 'that', 'these', 'those', 'he', 'she', 'they', 'we', 'you', 'i', 'his', 'her',
+  'their', 'our', 'your', 'not', 'no', 'will', 'would', 'can', 'could', 'should', 'may', 'might',
+  'about', 'after', 'before', 'over', 'into', 'than', 'then', 'so', 'up', 'out', 'more', 'new', 'says',
+  'said', 'what', 'who', 'how', 'why', 'when', 'where', 'which', 'amid', 'also', 'just', 'us',
+  '있다', '했다', '있는', '한다', '것으로', '밝혔다', '대해', '위해', '이번', '지난', '관련', '오늘'
+]);
+
+// 한국어 어절 끝의 조사 (긴 것부터 검사)
+const PARTICLES = ['에서는', '으로는', '에게서', '까지', '부터', '에서', '으로', '에게', '한테', '처럼', '보다',
+  '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도', '만'];
+
+const HANGUL = /[\uac00-\ud7a3]/;
+const CJK = /[\u3040-\u30ff\u3400-\u9fff]/;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+function normalize(text) {
+  return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+function stripParticle(word) {
+  for (const particle of PARTICLES) {
+    if (word.length > particle.length + 1 && word.endsWith(particle)) {
+      return word.slice(0, -particle.length);
+    }
+  }
+  return word;
+}
+
+function bigrams(word) {
+  const grams = [];
+  for (let i = 0; i < word.length - 1; i++) {
+    grams.push(word.slice(i, i + 2));
+  }
+  return grams;
+}
+
+// 텍스트를 비교용 토큰 배열로 변환
+function tokenize(text) {
+  const tokens = [];
+
+  for (const word of normalize(text).match(WORD) || []) {
+    if (HANGUL.test(word)) {
+      const stem = stripParticle(word);
+      if (stem.length < 2 || STOPWORDS.has(stem)) continue;
+      tokens.push(stem);
+      if (stem.length >= 3) tokens.push(...bigrams(stem));
+    } else if (CJK.test(word)) {
+      tokens.push(...(word.length > 1 ? bigrams(word) : [word]));
+    } else {
+      if (word.length < 2 || STOPWORDS.has(word)) continue;
+      tokens.push(word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+    }
+  }
+
+  return tokens;
+}
+
+function termFrequencies(tokens, weight = 1, into = new Map()) {
+  tokens.forEach(token => into.set(token, (into.get(token) || 0) + weight));
+  return into;
+}
+
+// 희소 벡터(Map) 코사인 유사도
+function cosineSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+
+  let dot = 0;
+  small.forEach((value, key) => {
+    if (large.has(key)) dot += value * large.get(key);
+  });
+  if (dot === 0) return 0;
+
+  return dot / (vectorNorm(a) * vectorNorm(b));
+}
+
+function vectorNorm(vector) {
+  let sum = 0;
+  vector.forEach(value => { sum += value * value; });
+  return Math.sqrt(sum);
+}
+
+function jaccard(a, b) {
+  const setA = a instanceof Set ? a : new Set(a);
+  const setB = b instanceof Set ? b : new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  setA.forEach(token => { if (setB.has(token)) intersection++; });
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  cosineSimilarity,
+  jaccard
+};
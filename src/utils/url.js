@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// 기사 식별과 무관한 추적용 쿼리 파라미터
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  'ref', 'ref_src', 'ref_url', 'cmpid', 'cmp', 'ocid', 'ito', 'rss', 'soc_src', 'soc_trk', '_ga', 'spm'
+];
+const TRACKING_PREFIXES = ['utm_', 'at_', 'ns_', 'pk_', 'mtm_'];
+
+// AMP 버전 표시 파라미터 (?amp, ?amp=1, ?outputType=amp)
+const AMP_PARAMS = ['amp', 'amp_js_v', 'usqp'];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.includes(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+function isAmpParam(name, value) {
+  const lower = name.toLowerCase();
+  return AMP_PARAMS.includes(lower) || (lower === 'outputtype' && value.toLowerCase() === 'amp');
+}
+
+// AMP 경로를 일반 기사 경로로: /amp/... , .../amp, ....amp.html
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/^\/amp(?=\/)/i, '')
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\.amp(\.html?)$/i, '$1') || '/';
+}
+
+// http(s) 절대 URL이면 정규화된 문자열, 아니면 null (javascript:, data: 같은 링크 차단)
+function httpUrl(rawUrl) {
+  if (!rawUrl) return null;
+
+  try {
+    const url = new URL(String(rawUrl).trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// URL 정규화: 같은 기사를 가리키는 URL이 같은 키가 되도록
+// 스킴/호스트 소문자화, 기본 포트·fragment·끝 슬래시·추적 파라미터 제거, AMP 경로·파라미터를 일반 버전으로,
+// 나머지 파라미터 정렬
+// http(s)가 아닌 URL은 기사로 저장하지 않도록 null
+function canonicalizeUrl(rawUrl) {
+  const href = httpUrl(rawUrl);
+  if (!href) return null;
+
+  const url = new URL(href);
+
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+  if ((url.protocol === 'http:' && url.port === '80') || (url.protocol === 'https:' && url.port === '443')) {
+    url.port = '';
+  }
+  url.pathname = stripAmpPath(url.pathname);
+  if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name, value]) => !isTrackingParam(name) && !isAmpParam(name, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  return url.toString();
+}
+
+// 정규화 URL의 해시로 만든 결정적 기사 ID (16자 hex)
+function articleId(rawUrl) {
+  const canonical = canonicalizeUrl(rawUrl);
+  if (!canonical) return null;
+  return crypto.createHash('sha1').update(canonical).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  httpUrl,
+  canonicalizeUrl,
+  articleId
+};
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const adminRoutes = require('../src/routes/admin');
+
+async function request(t, headers = {}) {
+  const app = express();
+  app.use('/api/admin', adminRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/admin/glossary`, { headers });
+  return response.status;
+}
+
+test('admin API accepts only the exact admin key', async (t) => {
+  const previous = process.env.ADMIN_API_KEY;
+  process.env.ADMIN_API_KEY = 'secret-admin-key';
+  t.after(() => {
+    if (previous === undefined) delete process.env.ADMIN_API_KEY;
+    else process.env.ADMIN_API_KEY = previous;
+  });
+
+  assert.strictEqual(await request(t, { 'x-admin-key': 'secret-admin-key' }), 200);
+  assert.strictEqual(await request(t, { 'x-admin-key': 'secret-admin-kez' }), 401);
+  assert.strictEqual(await request(t, { 'x-admin-key': 'secret' }), 401);
+  assert.strictEqual(await request(t, { 'x-admin-key': 'secret-admin-key-and-more' }), 401);
+  assert.strictEqual(await request(t), 401);
+});
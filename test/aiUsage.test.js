@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const database = require('../src/config/database');
+const aiUsage = require('../src/services/aiUsage');
+
+const usage = { promptTokens: 100, completionTokens: 50, totalTokens: 150 };
+
+// Redis 해시에 HINCRBY/HINCRBYFLOAT를 그대로 반영하는 가짜 클라이언트
+function fakeRedis() {
+  const hash = {};
+  const add = (field, value) => { hash[field] = String((parseFloat(hash[field]) || 0) + value); };
+  return {
+    hash,
+    isOpen: true,
+    multi() {
+      const replies = [];
+      const multi = {
+        hIncrBy: (key, field, value) => {
+          assert.ok(Number.isInteger(value), `HINCRBY ${field} needs an integer, got ${value}`);
+          add(field, value);
+          replies.push(null);
+        },
+        hIncrByFloat: (key, field, value) => { add(field, value); replies.push(null); },
+        hGetAll: () => replies.push({ ...hash }),
+        expire: () => replies.push(true),
+        exec: async () => replies
+      };
+      return multi;
+    },
+    hGetAll: async () => ({ ...hash })
+  };
+}
+
+function createUsage() {
+  return new aiUsage.constructor();
+}
+
+test('batched calls split usage by section share in memory mode', async (t) => {
+  t.mock.method(database, 'getClient', () => null);
+  const tracker = createUsage();
+
+  await tracker.record({ operation: 'enrich', sections: ['world', 'world', 'tech'], model: 'm', usage, cost: 0.3 });
+  const day = await tracker.getDay(new Date().toISOString().slice(0, 10));
+
+  assert.deepStrictEqual(Object.keys(day.sections).sort(), ['tech', 'world']);
+  assert.ok(Math.abs(day.sections.world.totalTokens - 100) < 1e-9);
+  assert.ok(Math.abs(day.sections.tech.totalTokens - 50) < 1e-9);
+  assert.ok(Math.abs(day.sections.world.calls + day.sections.tech.calls - 1) < 1e-9);
+  assert.strictEqual(day.totals.calls, 1);
+});
+
+test('section shares are not rounded away in Redis mode', async (t) => {
+  const redis = fakeRedis();
+  t.mock.method(database, 'getClient', () => redis);
+  const tracker = createUsage();
+
+  const sections = ['world', 'kr', 'tech', 'japan'];
+  for (let i = 0; i < 4; i++) {
+    await tracker.record({ operation: 'enrich', sections, model: 'm', usage, cost: 0.04 });
+  }
+
+  const report = await tracker.getReport({ days: 1 });
+  sections.forEach(section => {
+    assert.strictEqual(report.summary.sections[section].calls, 1);
+    assert.strictEqual(report.summary.sections[section].totalTokens, 150);
+  });
+  assert.strictEqual(report.summary.totals.calls, 4);
+  assert.strictEqual(report.summary.totals.totalTokens, 600);
+});
+
+test('repeated sections are summed into one share', async (t) => {
+  const redis = fakeRedis();
+  t.mock.method(database, 'getClient', () => redis);
+  const tracker = createUsage();
+
+  await tracker.record({ operation: 'enrich', sections: ['buzz', 'buzz', 'buzz'], model: 'm', usage, cost: 0 });
+
+  assert.strictEqual(redis.hash['section|buzz|calls'], '1');
+  assert.strictEqual(redis.hash['section|buzz|totalTokens'], '150');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const articleExtractor = require('../src/services/articleExtractor');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'extraction', name), 'utf8');
+
+test('extracts the body, byline and lead image from an English article', () => {
+  const result = articleExtractor.parse(fixture('en-article.html'), 'https://news.example.com/world/central-bank');
+
+  assert.strictEqual(result.title, 'Central bank raises interest rates for the first time in 17 years');
+  assert.strictEqual(result.byline, 'Jane Doe');
+  assert.strictEqual(result.leadImage, 'https://news.example.com/images/central-bank.jpg');
+  assert.strictEqual(result.publishedAt, '2026-10-19T01:30:00Z');
+
+  const paragraphs = result.text.split('\n\n');
+  assert.strictEqual(paragraphs.length, 3);
+  assert.match(paragraphs[0], /^The central bank raised its benchmark interest rate on Tuesday/);
+  assert.match(paragraphs[2], /bond yields edged higher\.$/);
+
+  // 광고, 공유 버튼, 관련 기사, 댓글, 저작권 문구는 제외
+  ['Advertisement', 'Share on', 'Related stories', 'Great article', 'Copyright', 'Subscribe'].forEach(text => {
+    assert.ok(!result.text.includes(text), `body should not contain "${text}"`);
+  });
+  assert.strictEqual(result.excerpt, paragraphs[0].slice(0, 200));
+  assert.strictEqual(result.length, result.text.length);
+});
+
+test('extracts a Korean article body written with <br> line breaks', () => {
+  const result = articleExtractor.parse(fixture('ko-article.html'), 'https://www.example.co.kr/news/1234');
+
+  assert.strictEqual(result.title, '일본은행, 17년 만에 금리 인상');
+  assert.strictEqual(result.byline, '홍길동 기자');
+
+  const paragraphs = result.text.split('\n\n');
+  assert.strictEqual(paragraphs.length, 3);
+  assert.match(paragraphs[0], /^일본은행이 19일 금융정책결정회의에서/);
+  assert.match(paragraphs[1], /물가 안정 목표 달성이 가능해졌다고 설명했다\.$/);
+  assert.match(paragraphs[2], /국채 금리는 상승했다\.$/);
+
+  // 기자 이메일, 저작권 문구, 메뉴·푸터는 제외
+  ['hong@example.co.kr', '무단전재', '회사소개', '다른 기사 보기'].forEach(text => {
+    assert.ok(!result.text.includes(text), `body should not contain "${text}"`);
+  });
+
+  // javascript: og:image는 버리고 본문 이미지를 절대 URL로 사용
+  assert.strictEqual(result.leadImage, 'https://www.example.co.kr/photo/boj.jpg');
+});
+
+test('returns no text when the page has no article body', () => {
+  const result = articleExtractor.parse('<html><body><nav><a href="/">Home</a></nav></body></html>', 'https://example.com/');
+  assert.strictEqual(result.text, '');
+});
+
+test('failed extractions are retried once the failure TTL passes', async (t) => {
+  let now = Date.parse('2026-10-19T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const download = t.mock.method(articleExtractor, 'download', async () => {
+    throw new Error('HTTP 503');
+  });
+
+  const url = 'https://example.com/flaky-article';
+  assert.strictEqual(await articleExtractor.extract(url), null);
+  assert.strictEqual(await articleExtractor.extract(url), null);
+  assert.strictEqual(download.mock.callCount(), 1);
+
+  now += 60 * 60 * 1000 + 1;
+  assert.strictEqual(await articleExtractor.extract(url), null);
+  assert.strictEqual(download.mock.callCount(), 2);
+});
+
+test('successful extractions are served from the memory cache', async (t) => {
+  const download = t.mock.method(articleExtractor, 'download', async () => fixture('en-article.html'));
+
+  const url = 'https://example.com/cached-article';
+  const first = await articleExtractor.extract(url);
+  const second = await articleExtractor.extract(url);
+
+  assert.ok(first.text.length > 0);
+  assert.strictEqual(second, first);
+  assert.strictEqual(download.mock.callCount(), 1);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderMarkdown, renderHtml } = require('../src/utils/briefing');
+
+function day(items, overrides = {}) {
+  return {
+    section: 'business',
+    date: '2026-10-19',
+    briefings: [{
+      section: 'business',
+      date: '2026-10-19',
+      edition: 'morning',
+      heading: '경제 아침 브리핑',
+      intro: '오늘 경제는 *금리* 소식이 중심입니다.',
+      generatedAt: '2026-10-18T22:00:00.000Z',
+      items,
+      ...overrides
+    }]
+  };
+}
+
+const item = (fields) => ({
+  rank: 1,
+  title: 'Bank of Japan raises rates',
+  titleKo: '일본은행 금리 인상',
+  source: 'Reuters',
+  sourceCount: 1,
+  url: 'https://example.com/boj',
+  summary: ['일본은행이 금리를 올렸다.', '엔화가 강세를 보였다.'],
+  ...fields
+});
+
+test('renderMarkdown lists ranked stories with two summary lines', () => {
+  const markdown = renderMarkdown(day([item({}), item({ rank: 2, titleKo: '유가 하락', url: 'https://example.com/oil', sourceCount: 3 })]));
+
+  assert.strictEqual(markdown, [
+    '# 2026-10-19 브리핑',
+    '',
+    '## 경제 아침 브리핑',
+    '',
+    '오늘 경제는 \\*금리\\* 소식이 중심입니다.',
+    '',
+    '1. **[일본은행 금리 인상](https://example.com/boj)** — Reuters',
+    '   - 일본은행이 금리를 올렸다.',
+    '   - 엔화가 강세를 보였다.',
+    '2. **[유가 하락](https://example.com/oil)** — Reuters 외 2개 매체',
+    '   - 일본은행이 금리를 올렸다.',
+    '   - 엔화가 강세를 보였다.',
+    '',
+    '_2026-10-18T22:00:00.000Z 작성_',
+    ''
+  ].join('\n'));
+});
+
+test('renderMarkdown encodes characters that would break the link', () => {
+  const markdown = renderMarkdown(day([item({ url: 'https://example.com/a (b)/c d' })]));
+  assert.match(markdown, /\[일본은행 금리 인상\]\(https:\/\/example\.com\/a%20%28b%29\/c%20d\)/);
+});
+
+test('renderMarkdown and renderHtml drop non-http links', () => {
+  const unsafe = day([item({ url: 'javascript:alert(1)' }), item({ rank: 2, url: 'data:text/html,<script>' })]);
+
+  const markdown = renderMarkdown(unsafe);
+  assert.ok(!markdown.includes('javascript:'));
+  assert.ok(!markdown.includes('data:'));
+  assert.match(markdown, /^1\. \*\*일본은행 금리 인상\*\* — Reuters$/m);
+
+  const html = renderHtml(unsafe);
+  assert.ok(!html.includes('javascript:'));
+  assert.ok(!html.includes('data:'));
+  assert.ok(!html.includes('<a '));
+});
+
+test('renderHtml escapes feed text and attributes', () => {
+  const html = renderHtml(day([item({
+    titleKo: '<img src=x onerror=alert(1)>',
+    url: 'https://example.com/?q="><script>',
+    summary: ['A & B <b>']
+  })]));
+
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.match(html, /<html lang="ko">/);
+  assert.match(html, /<h2>경제 아침 브리핑<\/h2>/);
+  assert.match(html, /<a href="https:\/\/example\.com\/\?q=%22%3E%3Cscript%3E">&lt;img src=x onerror=alert\(1\)&gt;<\/a>/);
+  assert.match(html, /<p>A &amp; B &lt;b&gt;<\/p>/);
+  assert.ok(!html.includes('<script>'));
+});
+
+test('empty briefings render a placeholder', () => {
+  assert.match(renderMarkdown(day([])), /_기사가 없습니다\._/);
+  assert.match(renderHtml(day([])), /<p>기사가 없습니다\.<\/p>/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const briefingService = require('../src/services/briefingService');
+
+const BRIEFING_ENV = ['BRIEFING_UTC_OFFSET_MINUTES', 'BRIEFING_MORNING_TIME', 'BRIEFING_EVENING_TIME'];
+
+// 환경 변수를 바꿔 새 인스턴스를 만든 뒤 원래 값으로 되돌림
+function createService(env = {}) {
+  const saved = Object.fromEntries(BRIEFING_ENV.map(key => [key, process.env[key]]));
+  BRIEFING_ENV.forEach(key => { delete process.env[key]; });
+  Object.assign(process.env, env);
+  try {
+    return new briefingService.constructor();
+  } finally {
+    BRIEFING_ENV.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  }
+}
+
+const at = (iso) => Date.parse(iso);
+const next = (service, iso) => {
+  const run = service.nextRun(at(iso));
+  return { edition: run.edition, at: run.at.toISOString() };
+};
+
+test('dateKey uses the local date of the configured offset (default +09:00)', () => {
+  const service = createService();
+  assert.strictEqual(service.dateKey(at('2026-10-19T14:59:59Z')), '2026-10-19');
+  assert.strictEqual(service.dateKey(at('2026-10-19T15:00:00Z')), '2026-10-20');
+  assert.strictEqual(service.dateKey(at('2026-12-31T15:00:00Z')), '2027-01-01');
+});
+
+test('dateKey handles negative offsets', () => {
+  const service = createService({ BRIEFING_UTC_OFFSET_MINUTES: '-300' });
+  assert.strictEqual(service.dateKey(at('2026-10-19T04:59:00Z')), '2026-10-18');
+  assert.strictEqual(service.dateKey(at('2026-10-19T05:00:00Z')), '2026-10-19');
+});
+
+test('nextRun picks the next edition at local 07:00 and 18:00', () => {
+  const service = createService();
+  // 09:00 KST → 오늘 18:00 KST 저녁판
+  assert.deepStrictEqual(next(service, '2026-10-19T00:00:00Z'), { edition: 'evening', at: '2026-10-19T09:00:00.000Z' });
+  // 저녁판 시각 정각이면 다음 날 아침판
+  assert.deepStrictEqual(next(service, '2026-10-19T09:00:00Z'), { edition: 'morning', at: '2026-10-19T22:00:00.000Z' });
+});
+
+test('nextRun is stable around local midnight', () => {
+  const service = createService();
+  // 23:59 KST와 00:00 KST 모두 다음 아침 07:00 KST (UTC로는 같은 날 22:00)
+  assert.deepStrictEqual(next(service, '2026-10-19T14:59:00Z'), { edition: 'morning', at: '2026-10-19T22:00:00.000Z' });
+  assert.deepStrictEqual(next(service, '2026-10-19T15:00:00Z'), { edition: 'morning', at: '2026-10-19T22:00:00.000Z' });
+  assert.deepStrictEqual(next(service, '2026-10-19T21:59:59Z'), { edition: 'morning', at: '2026-10-19T22:00:00.000Z' });
+  assert.deepStrictEqual(next(service, '2026-10-19T22:00:00Z'), { edition: 'evening', at: '2026-10-20T09:00:00.000Z' });
+});
+
+test('nextRun follows configured times and offset', () => {
+  const service = createService({
+    BRIEFING_UTC_OFFSET_MINUTES: '-300',
+    BRIEFING_MORNING_TIME: '06:30',
+    BRIEFING_EVENING_TIME: '23:45'
+  });
+  // 로컬 10-18 22:00 → 로컬 23:45 저녁판
+  assert.deepStrictEqual(next(service, '2026-10-19T03:00:00Z'), { edition: 'evening', at: '2026-10-19T04:45:00.000Z' });
+  // 로컬 10-18 23:50 → 로컬 10-19 06:30 아침판
+  assert.deepStrictEqual(next(service, '2026-10-19T04:50:00Z'), { edition: 'morning', at: '2026-10-19T11:30:00.000Z' });
+});
+
+test('invalid schedule times fall back to defaults', () => {
+  const service = createService({ BRIEFING_MORNING_TIME: '25:00', BRIEFING_EVENING_TIME: 'soon' });
+  assert.deepStrictEqual(service.getStatus().schedule, { morning: '07:00', evening: '18:00' });
+});
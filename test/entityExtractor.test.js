@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const entityExtractor = require('../src/services/entityExtractor');
+
+const createExtractor = () => new entityExtractor.constructor();
+const ids = (extractor, text) => extractor.extract({ title: text }).map(entity => entity.id).sort();
+
+test('matches short Korean aliases followed by particles', () => {
+  const extractor = createExtractor();
+
+  assert.deepStrictEqual(ids(extractor, '메타가 새 AI 모델을 공개했다'), ['meta']);
+  assert.deepStrictEqual(ids(extractor, '북한의 미사일 발사에 미국은 규탄 성명'), ['north-korea', 'united-states']);
+  assert.deepStrictEqual(ids(extractor, '트럼프, 파월 의장 교체 시사'), ['donald-trump', 'jerome-powell']);
+  assert.deepStrictEqual(ids(extractor, '한은에서는 동결 전망'), ['bank-of-korea']);
+});
+
+test('does not match short Korean aliases inside longer Hangul words', () => {
+  const extractor = createExtractor();
+
+  assert.deepStrictEqual(ids(extractor, '메타버스 플랫폼 이용자 급감'), []);
+  assert.deepStrictEqual(ids(extractor, '남북한 고위급 회담'), []);
+  assert.deepStrictEqual(ids(extractor, '삼성바이오로직스 실적 발표'), []);
+  // 긴 별칭은 그대로 (가자지구 → 가자가 아니라 가자지구 전체)
+  assert.deepStrictEqual(ids(extractor, '가자지구 휴전 협상'), ['gaza']);
+});
+
+test('keeps matching Japanese aliases without word spacing', () => {
+  const extractor = createExtractor();
+  assert.deepStrictEqual(ids(extractor, '日銀総裁、トヨタの決算に言及'), ['bank-of-japan', 'toyota']);
+});
+
+test('keeps at most MEMORY_LIMIT learned entities, dropping the least recently used', () => {
+  const extractor = createExtractor();
+  const dictionarySize = extractor.entities.size;
+
+  const first = extractor.normalize([{ name: 'Acme Robotics', type: 'organization' }])[0];
+  for (let i = 0; i < 1999; i++) {
+    extractor.normalize([{ name: `Startup ${i}`, type: 'organization' }]);
+  }
+  // 다시 쓰인 개체는 최근 사용으로 올라가 밀려나지 않는다
+  assert.strictEqual(extractor.normalize([{ name: 'acme robotics', type: 'organization' }])[0].id, first.id);
+  extractor.normalize([{ name: 'One More Startup', type: 'organization' }]);
+
+  assert.strictEqual(extractor.learned.size, 2000);
+  assert.strictEqual(extractor.entities.size, dictionarySize + 2000);
+  assert.ok(extractor.entities.has(first.id));
+  assert.ok(!extractor.entities.has('startup-0'));
+  assert.ok(!extractor.aliases.has('startup 0'));
+  assert.ok(extractor.entities.has('startup-1'));
+
+  // 사전 항목은 밀려나지 않는다
+  assert.strictEqual(extractor.describe('donald-trump').name, 'Donald Trump');
+  assert.strictEqual(extractor.aliases.get('트럼프'), 'donald-trump');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const feedNormalizer = require('../src/services/feedNormalizer');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+test('normalizes an RSS 2.0 feed', async () => {
+  const feed = await feedNormalizer.parse(fixture('rss.xml'), 'application/rss+xml');
+
+  assert.strictEqual(feed.format, 'rss');
+  assert.strictEqual(feed.title, 'Example World News');
+  assert.strictEqual(feed.items.length, 2);
+
+  const [item] = feed.items;
+  assert.strictEqual(item.guid, 'world-1001');
+  assert.strictEqual(item.title, 'Central bank raises interest rates');
+  assert.strictEqual(item.link, 'https://news.example.com/world/central-bank');
+  assert.strictEqual(item.description, 'The central bank raised its benchmark rate for the first time in 17 years.');
+  assert.match(item.content, /^<p>The central bank raised its benchmark rate\.<\/p>/);
+  assert.strictEqual(item.publishedAt, '2026-10-19T01:30:00.000Z');
+  // 동영상 media:content는 건너뛰고 이미지 media:content를 고른다
+  assert.strictEqual(item.image, 'https://news.example.com/images/central-bank.jpg');
+  assert.strictEqual(item.author, 'Jane Doe');
+  assert.deepStrictEqual(item.categories, ['Economy', 'Markets']);
+});
+
+test('drops non-http links and leaves a missing date empty', async () => {
+  const { items: [, item] } = await feedNormalizer.parse(fixture('rss.xml'), 'application/rss+xml');
+
+  assert.strictEqual(item.link, null);
+  assert.strictEqual(item.publishedAt, null);
+  assert.strictEqual(item.image, 'https://news.example.com/images/election.png');
+  assert.strictEqual(item.author, null);
+  assert.deepStrictEqual(item.categories, []);
+});
+
+test('normalizes an Atom feed', async () => {
+  const feed = await feedNormalizer.parse(fixture('atom.xml'), 'application/atom+xml');
+
+  assert.strictEqual(feed.format, 'atom');
+  assert.strictEqual(feed.title, 'Example Tech');
+
+  const [item, undated] = feed.items;
+  assert.strictEqual(item.guid, 'urn:example:tech:2001');
+  assert.strictEqual(item.title, 'Chipmaker unveils new processor');
+  assert.strictEqual(item.link, 'https://tech.example.com/chips/new-processor');
+  assert.strictEqual(item.description, 'The new chip is twice as fast.');
+  assert.strictEqual(item.publishedAt, '2026-10-18T17:00:00.000Z');
+  assert.strictEqual(item.image, 'https://tech.example.com/images/processor.jpg');
+  assert.strictEqual(item.author, 'John Roe');
+  assert.deepStrictEqual(item.categories, ['Semiconductors', 'Hardware']);
+
+  assert.strictEqual(undated.link, 'https://tech.example.com/undated');
+  assert.strictEqual(undated.publishedAt, null);
+  assert.strictEqual(undated.image, null);
+});
+
+test('normalizes an RSS 1.0 (RDF) feed with Dublin Core fields', async () => {
+  const feed = await feedNormalizer.parse(fixture('rdf.xml'), 'application/rdf+xml');
+
+  assert.strictEqual(feed.format, 'rdf');
+  assert.strictEqual(feed.title, 'Example Japan');
+  assert.deepStrictEqual(feed.items[0], {
+    guid: 'https://www.example.jp/news/3001',
+    title: '日銀、17年ぶりの利上げ',
+    link: 'https://www.example.jp/news/3001',
+    description: '日本銀行は19日、マイナス金利政策の解除を決めた。',
+    content: '日本銀行は19日、マイナス金利政策の解除を決めた。',
+    publishedAt: '2026-10-19T01:00:00.000Z',
+    image: null,
+    author: '山田太郎',
+    categories: ['経済']
+  });
+});
+
+test('normalizes a JSON Feed', async () => {
+  const feed = await feedNormalizer.parse(fixture('feed.json'), 'application/feed+json');
+
+  assert.strictEqual(feed.format, 'json');
+  assert.strictEqual(feed.title, 'Example Science');
+
+  const [item, summaryOnly] = feed.items;
+  assert.strictEqual(item.guid, 'science-4001');
+  assert.strictEqual(item.title, 'Probe reaches Jupiter orbit');
+  assert.strictEqual(item.link, 'https://science.example.com/space/probe');
+  assert.strictEqual(item.description, 'The probe entered orbit.');
+  assert.strictEqual(item.publishedAt, '2026-10-18T22:15:00.000Z');
+  assert.strictEqual(item.image, 'https://science.example.com/images/inline.jpg');
+  assert.strictEqual(item.author, 'Kim Lee, Ana Souza');
+  assert.deepStrictEqual(item.categories, ['Space', 'NASA']);
+
+  // 제목이 없으면 summary, url이 없으면 external_url, data: 이미지는 버린다
+  assert.strictEqual(summaryOnly.title, 'Telescope spots distant galaxy');
+  assert.strictEqual(summaryOnly.link, 'https://other.example.org/telescope');
+  assert.strictEqual(summaryOnly.publishedAt, null);
+  assert.strictEqual(summaryOnly.image, null);
+  assert.strictEqual(summaryOnly.author, null);
+});
+
+test('detects a JSON Feed without a JSON content type and rejects one without items', async () => {
+  const feed = await feedNormalizer.parse(fixture('feed.json'), 'text/plain');
+  assert.strictEqual(feed.format, 'json');
+
+  await assert.rejects(feedNormalizer.parse('{"version":"https://jsonfeed.org/version/1.1"}', 'application/json'), /items array missing/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const glossary = require('../src/services/glossary');
+
+// 파일·Redis 없이 주어진 항목만 쓰는 용어집
+function createGlossary(entries) {
+  const instance = Object.create(Object.getPrototypeOf(glossary));
+  instance.overrides = {};
+  instance.fileEntries = entries.map(entry => instance.normalize(entry));
+  instance.rebuild();
+  return instance;
+}
+
+const entries = [
+  { term: 'Donald Trump', translation: '도널드 트럼프', aliases: ['Trump', '트럼프 대통령'] },
+  { term: 'Fed', translation: '연준(Fed)', caseSensitive: true },
+  { term: 'North Korea', translation: '북한' },
+  { term: 'Korea', translation: '한국' },
+  { term: 'BOJ', translation: '일본은행', sections: ['japan'], aliases: ['일본 중앙은행'] }
+];
+
+test('apply replaces terms and aliases with the preferred translation', () => {
+  const g = createGlossary(entries);
+  assert.strictEqual(g.apply('Trump met Fed officials'), '도널드 트럼프 met 연준(Fed) officials');
+  assert.strictEqual(g.apply('트럼프 대통령이 말했다'), '도널드 트럼프이 말했다');
+  assert.strictEqual(g.apply('North Korea and Korea'), '북한 and 한국');
+});
+
+test('apply leaves text that is already translated unchanged', () => {
+  const g = createGlossary(entries);
+  ['도널드 트럼프가 연준(Fed)을 비판했다', '북한과 한국', '연준(Fed) 의장'].forEach(text => {
+    assert.strictEqual(g.apply(text), text);
+  });
+  assert.strictEqual(g.apply('Trump met 도널드 트럼프'), '도널드 트럼프 met 도널드 트럼프');
+});
+
+test('apply is idempotent', () => {
+  const g = createGlossary(entries);
+  ['Fed', 'Trump met Fed', '트럼프 대통령과 Fed', 'North Korea, Korea'].forEach(text => {
+    const once = g.apply(text);
+    assert.strictEqual(g.apply(once), once, `applying twice changed "${text}"`);
+  });
+});
+
+test('apply respects case sensitivity, word boundaries and sections', () => {
+  const g = createGlossary(entries);
+  assert.strictEqual(g.apply('the fed funds rate'), 'the fed funds rate');
+  assert.strictEqual(g.apply('Federal Trumpet'), 'Federal Trumpet');
+  assert.strictEqual(g.apply('BOJ와 일본 중앙은행'), 'BOJ와 일본 중앙은행');
+  assert.strictEqual(g.apply('BOJ와 일본 중앙은행', { section: 'japan' }), '일본은행와 일본은행');
+});
+
+test('normalize rejects aliases that appear inside their own translation', () => {
+  const g = createGlossary([]);
+  assert.throws(
+    () => g.normalize({ term: 'Donald Trump', translation: '도널드 트럼프', aliases: ['트럼프'] }),
+    error => error.field === 'aliases'
+  );
+  assert.throws(
+    () => g.normalize({ term: 'Fed', translation: '연준(Fed)', aliases: ['fed'] }),
+    error => error.field === 'aliases'
+  );
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage, languageName } = require('../src/utils/language');
+
+test('detects Korean', () => {
+  assert.strictEqual(detectLanguage('한국은행이 기준금리를 0.25%포인트 인상했다'), 'ko');
+  assert.strictEqual(detectLanguage('속보: 코스피 2% 급락', 'en'), 'ko');
+});
+
+test('detects Japanese from kana, even when kanji dominate', () => {
+  assert.strictEqual(detectLanguage('日本銀行は19日、マイナス金利政策の解除を決めた。'), 'ja');
+  assert.strictEqual(detectLanguage('日銀総裁会見の要旨'), 'ja');
+  assert.strictEqual(detectLanguage('ソニー、新型ゲーム機を発表'), 'ja');
+});
+
+test('treats kanji-only text as Chinese unless the source is Japanese', () => {
+  assert.strictEqual(detectLanguage('中国人民银行宣布下调存款准备金率'), 'zh');
+  assert.strictEqual(detectLanguage('日本銀行金融政策決定会合', 'ja'), 'ja');
+});
+
+test('detects English and other Latin-script languages', () => {
+  assert.strictEqual(detectLanguage('The central bank raised interest rates for the first time in 17 years', 'ko'), 'en');
+  assert.strictEqual(detectLanguage('La banque centrale a relevé ses taux pour la première fois depuis des années', 'en'), 'fr');
+  assert.strictEqual(detectLanguage('Die Zentralbank hat die Zinsen zum ersten Mal seit Jahren erhöht und ist nicht allein', 'en'), 'de');
+});
+
+test('classifies mixed-script text by its dominant script', () => {
+  assert.strictEqual(detectLanguage('삼성전자, AI 반도체 HBM4 양산 시작… NVIDIA 공급 예정'), 'ko');
+  assert.strictEqual(detectLanguage('Samsung shares rose after the 갤럭시 launch event in Seoul on Monday', 'ko'), 'en');
+  assert.strictEqual(detectLanguage('トヨタ、米ケンタッキー州のEV電池工場を拡張 Toyota'), 'ja');
+});
+
+test('keeps the source language for short or function-word-free Latin text', () => {
+  // 기능어 없는 제목은 소스 언어를 뒤집지 않는다
+  assert.strictEqual(detectLanguage('Apple Vision Pro Review', 'fr'), 'fr');
+  assert.strictEqual(detectLanguage('Apple Vision Pro Review'), 'en');
+  // 라틴 프로필이 없는 소스 언어면 en
+  assert.strictEqual(detectLanguage('Breaking news update today', 'ko'), 'en');
+});
+
+test('returns the fallback when there is too little text', () => {
+  assert.strictEqual(detectLanguage('', 'ja'), 'ja');
+  assert.strictEqual(detectLanguage(null), 'en');
+  assert.strictEqual(detectLanguage('12:30 — 2%', 'ko'), 'ko');
+  assert.strictEqual(detectLanguage('AI', 'ko'), 'ko');
+});
+
+test('names language codes for prompts', () => {
+  assert.strictEqual(languageName('ko'), 'Korean');
+  assert.strictEqual(languageName('ja'), 'Japanese');
+  assert.strictEqual(languageName('xx'), 'xx');
+});
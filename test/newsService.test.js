@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const articleStore = require('../src/services/articleStore');
+const newsService = require('../src/services/newsService');
+
+const T0 = Date.parse('2026-10-19T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+// 메모리 저장소에 world 기사 30개 (3개씩 같은 발행 시각), tech 기사 5개
+function seed() {
+  articleStore.memory.clear();
+  const world = Array.from({ length: 30 }, (_, i) => ({
+    id: `a${String(i).padStart(15, '0')}`,
+    url: `https://example.com/world/${i}`,
+    title: i % 10 === 0 ? `Central bank decision ${i}` : `World story ${i}`,
+    description: '',
+    sections: ['world'],
+    publishedAt: new Date(T0 - Math.floor(i / 3) * MINUTE).toISOString()
+  }));
+  const tech = Array.from({ length: 5 }, (_, i) => ({
+    id: `b${String(i).padStart(15, '0')}`,
+    url: `https://example.com/tech/${i}`,
+    title: i === 0 ? 'Central bank digital currency pilot' : `Tech story ${i}`,
+    description: '',
+    sections: ['tech'],
+    publishedAt: new Date(T0 - i * MINUTE).toISOString()
+  }));
+  return articleStore.save([...world, ...tech]);
+}
+
+test.beforeEach(async (t) => {
+  t.mock.method(newsService, 'ingestSection', async () => ({ timestamp: new Date(T0).toISOString(), sources: [] }));
+  await seed();
+});
+
+async function walk(section, options) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const { data } = await newsService.getNews(section, false, { ...options, cursor });
+    ids.push(...data.articles.map(article => article.id));
+    cursor = data.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+test('getNews cursor pages walk the whole section without gaps or repeats', async () => {
+  const ids = await walk('world', { limit: 4 });
+  assert.strictEqual(ids.length, 30);
+  assert.strictEqual(new Set(ids).size, 30);
+
+  const times = [];
+  for (const id of ids) times.push(new Date(articleStore.memory.get(id).publishedAt).getTime());
+  assert.deepStrictEqual(times, [...times].sort((a, b) => b - a));
+});
+
+test('before and after are exclusive publish-time bounds', async () => {
+  const before = T0 - 2 * MINUTE;
+  const after = T0 - 6 * MINUTE;
+  const { data } = await newsService.getNews('world', false, { before, after, limit: 100 });
+
+  // 발행 시각 T0-3분 ~ T0-5분 (각 3개), 경계 시각의 기사는 제외
+  assert.strictEqual(data.articles.length, 9);
+  assert.strictEqual(data.total, 9);
+  data.articles.forEach(article => {
+    const time = new Date(article.publishedAt).getTime();
+    assert.ok(time < before && time > after, article.publishedAt);
+  });
+
+  assert.strictEqual((await walk('world', { before, after, limit: 2 })).length, 9);
+  assert.strictEqual(await articleStore.count('world', { before, after }), 9);
+});
+
+test('a news cursor from one section is rejected in another', async () => {
+  const { data } = await newsService.getNews('world', false, { limit: 2 });
+  await assert.rejects(newsService.getNews('tech', false, { limit: 2, cursor: data.nextCursor }), /Invalid cursor/);
+});
+
+test('searchArticles finds matches across sections within the scan cap', async () => {
+  const all = await newsService.searchArticles('central bank');
+  assert.deepStrictEqual(all.articles.map(article => article.title).sort(), [
+    'Central bank decision 0', 'Central bank decision 10', 'Central bank decision 20', 'Central bank digital currency pilot'
+  ]);
+  assert.strictEqual(all.scanned, 35);
+
+  const tech = await newsService.searchArticles('central bank', { section: 'tech' });
+  assert.deepStrictEqual(tech.articles.map(article => article.section), ['tech']);
+
+  const older = await newsService.searchArticles('central bank', { section: 'world', before: T0 - MINUTE });
+  assert.deepStrictEqual(older.articles.map(article => article.title).sort(), ['Central bank decision 10', 'Central bank decision 20']);
+});
+
+test('searchArticles never scans more than 600 stored articles', async (t) => {
+  const list = t.mock.method(articleStore, 'list', async () => ({ articles: [], total: 0 }));
+  await newsService.searchArticles('anything');
+  const requested = list.mock.calls.reduce((sum, call) => sum + call.arguments[1].limit, 0);
+  assert.ok(requested <= 600, `requested ${requested}`);
+  assert.strictEqual(list.mock.callCount(), 6);
+});
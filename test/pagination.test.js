@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeCursor, decodeCursor, parseLimit, paginate } = require('../src/utils/pagination');
+
+// 발행 시각이 같은 항목이 섞인 목록 (정렬 키: [시각, id])
+const items = [
+  { id: 'a', time: 500 }, { id: 'b', time: 400 }, { id: 'c', time: 400 }, { id: 'd', time: 400 },
+  { id: 'e', time: 300 }, { id: 'f', time: 200 }, { id: 'g', time: 100 }
+];
+const sortKey = item => [item.time, item.id];
+
+function walk(list, limit, scope = 'news:world') {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = paginate(list, { scope, cursor, limit, sortKey });
+    pages.push(page.items.map(item => item.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('cursor pages cover every item once, in order, across equal timestamps', () => {
+  [1, 2, 3, 7, 10].forEach(limit => {
+    const pages = walk(items, limit);
+    assert.deepStrictEqual(pages.flat(), ['a', 'd', 'c', 'b', 'e', 'f', 'g'], `limit ${limit}`);
+    pages.slice(0, -1).forEach(page => assert.strictEqual(page.length, limit));
+  });
+});
+
+test('the last page has no next cursor', () => {
+  assert.strictEqual(paginate(items, { scope: 's', limit: 7, sortKey }).nextCursor, null);
+  assert.strictEqual(paginate([], { scope: 's', limit: 5, sortKey }).nextCursor, null);
+});
+
+test('new items at the front do not shift the next page', () => {
+  const first = paginate(items, { scope: 's', limit: 3, sortKey });
+  const grown = [{ id: 'z', time: 900 }, ...items];
+  const second = paginate(grown, { scope: 's', cursor: first.nextCursor, limit: 3, sortKey });
+  assert.deepStrictEqual(second.items.map(item => item.id), ['b', 'e', 'f']);
+});
+
+test('cursor round-trips through encode/decode', () => {
+  const cursor = encodeCursor('news:kr', [1760832000000, 'abc']);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(decodeCursor(cursor, 'news:kr'), [1760832000000, 'abc']);
+  assert.strictEqual(decodeCursor(null, 'news:kr'), null);
+  assert.strictEqual(decodeCursor('', 'news:kr'), null);
+});
+
+test('cursors from another scope or garbage are rejected', () => {
+  const cursor = encodeCursor('news:world', [1, 'a']);
+  ['news:kr', 'youtube:world', 'search::::fed'].forEach(scope => {
+    assert.throws(() => decodeCursor(cursor, scope), error => error.field === 'cursor' && error.statusCode === 400);
+  });
+  assert.throws(() => paginate(items, { scope: 'news:kr', cursor, limit: 2, sortKey }), /Invalid cursor/);
+
+  ['not-base64!', Buffer.from('{"s":"news:world","k":"x"}').toString('base64url'), Buffer.from('[]').toString('base64url')]
+    .forEach(value => assert.throws(() => decodeCursor(value, 'news:world'), /Invalid cursor/));
+});
+
+test('parseLimit clamps to 1..100 and falls back to the default', () => {
+  assert.strictEqual(parseLimit('5'), 5);
+  assert.strictEqual(parseLimit('500'), 100);
+  assert.strictEqual(parseLimit('0'), 20);
+  assert.strictEqual(parseLimit('-3'), 20);
+  assert.strictEqual(parseLimit('abc', 10), 10);
+  assert.strictEqual(parseLimit(undefined), 20);
+});
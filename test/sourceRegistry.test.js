@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sourceRegistry = require('../src/services/sourceRegistry');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', 'sources', name);
+
+// 생성자를 거치지 않고 파일만 읽는 레지스트리
+function loadSources(filePath) {
+  const registry = Object.create(Object.getPrototypeOf(sourceRegistry));
+  registry.filePath = filePath;
+  return registry.loadFile();
+}
+
+test('loads sources from a YAML file and skips invalid entries', () => {
+  const sources = loadSources(fixture('sources.yml'));
+
+  assert.deepStrictEqual(sources.map(source => source.id), ['bbc-world', 'yonhap', 'nhk']);
+  assert.deepStrictEqual(sources[0], {
+    id: 'bbc-world',
+    name: 'BBC World',
+    url: 'https://feeds.bbci.co.uk/news/world/rss.xml',
+    sections: ['world'],
+    language: 'en',
+    priority: 9,
+    fetchInterval: 600000,
+    enabled: true
+  });
+  assert.deepStrictEqual(sources[1].sections, ['kr']);
+  assert.strictEqual(sources[1].enabled, false);
+  assert.strictEqual(sources[1].priority, 5);
+  assert.deepStrictEqual(sources[2].sections, ['japan', 'world']);
+});
+
+test('loads the same list from JSON and from a top-level YAML array', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const entries = [{ id: 'ap', url: 'https://apnews.com/rss', sections: ['world', 'business'] }];
+  fs.writeFileSync(path.join(dir, 'sources.json'), JSON.stringify(entries));
+  fs.writeFileSync(path.join(dir, 'sources.yaml'), '- id: ap\n  url: https://apnews.com/rss\n  sections: [world, business]\n');
+
+  const fromJson = loadSources(path.join(dir, 'sources.json'));
+  assert.strictEqual(fromJson.length, 1);
+  assert.deepStrictEqual(loadSources(path.join(dir, 'sources.yaml')), fromJson);
+});
+
+test('returns no sources when the file cannot be parsed', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(dir, 'broken.yml'), 'sources:\n  - id: a\n   url: [unclosed\n');
+  fs.writeFileSync(path.join(dir, 'tagged.yml'), '- !!js/function "function () {}"\n');
+  fs.writeFileSync(path.join(dir, 'sources.json'), 'id: a\n');
+
+  assert.deepStrictEqual(loadSources(path.join(dir, 'broken.yml')), []);
+  assert.deepStrictEqual(loadSources(path.join(dir, 'tagged.yml')), []);
+  assert.deepStrictEqual(loadSources(path.join(dir, 'sources.json')), []);
+  assert.deepStrictEqual(loadSources(path.join(dir, 'missing.yml')), []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { httpUrl, canonicalizeUrl, articleId } = require('../src/utils/url');
+
+const BASE = 'https://www.example.com/news/2026/10/19/central-bank';
+
+// 같은 기사를 가리키는 URL들 → 모두 BASE로 정규화
+const equivalent = [
+  // 추적 파라미터
+  ['utm_* parameters', `${BASE}?utm_source=rss&utm_medium=feed&utm_campaign=world`],
+  ['click ids', `${BASE}?fbclid=abc&gclid=def&msclkid=ghi`],
+  ['mixed-case tracking names', `${BASE}?UTM_Source=rss&Ref=home`],
+  ['other tracking prefixes', `${BASE}?at_medium=rss&ns_campaign=x&pk_kwd=y&mtm_source=z`],
+  // 끝 슬래시
+  ['trailing slash', `${BASE}/`],
+  ['several trailing slashes', `${BASE}///`],
+  // 대소문자와 기본 포트
+  ['upper-case host', 'https://WWW.Example.COM/news/2026/10/19/central-bank'],
+  ['upper-case scheme', 'HTTPS://www.example.com/news/2026/10/19/central-bank'],
+  ['default port', 'https://www.example.com:443/news/2026/10/19/central-bank'],
+  // fragment
+  ['fragment', `${BASE}#comments`],
+  ['fragment and tracking', `${BASE}/?utm_source=x#top`],
+  // AMP
+  ['/amp suffix', `${BASE}/amp`],
+  ['/amp/ suffix', `${BASE}/amp/`],
+  ['/amp/ prefix', 'https://www.example.com/amp/news/2026/10/19/central-bank'],
+  ['?amp', `${BASE}?amp`],
+  ['?amp=1', `${BASE}?amp=1`],
+  ['?outputType=amp', `${BASE}?outputType=amp`],
+  ['surrounding whitespace', `  ${BASE}  `]
+];
+
+test('canonicalizeUrl maps equivalent article URLs to one form', () => {
+  equivalent.forEach(([name, url]) => {
+    assert.strictEqual(canonicalizeUrl(url), BASE, name);
+  });
+});
+
+test('canonicalizeUrl keeps what identifies the article', () => {
+  const cases = [
+    ['path case', 'https://example.com/News/Article-1', 'https://example.com/News/Article-1'],
+    ['content parameters, sorted', 'https://example.com/view?page=2&id=10&utm_source=x', 'https://example.com/view?id=10&page=2'],
+    ['non-default port', 'http://example.com:8080/a/', 'http://example.com:8080/a'],
+    ['http and https differ', 'http://example.com/a', 'http://example.com/a'],
+    ['root path', 'https://example.com/', 'https://example.com/'],
+    ['words containing amp', 'https://example.com/ampersand/camp', 'https://example.com/ampersand/camp'],
+    ['.amp.html', 'https://example.com/2026/story.amp.html', 'https://example.com/2026/story.html'],
+    ['outputType other than amp', 'https://example.com/a?outputType=print', 'https://example.com/a?outputType=print']
+  ];
+
+  cases.forEach(([name, url, expected]) => {
+    assert.strictEqual(canonicalizeUrl(url), expected, name);
+  });
+});
+
+test('non-http and unparsable URLs are rejected', () => {
+  ['javascript:alert(1)', 'data:text/html,hi', 'ftp://example.com/a', 'mailto:a@example.com', '/relative/path', 'not a url', '', null, undefined]
+    .forEach(url => {
+      assert.strictEqual(canonicalizeUrl(url), null, String(url));
+      assert.strictEqual(articleId(url), null, String(url));
+      assert.strictEqual(httpUrl(url), null, String(url));
+    });
+});
+
+test('articleId is stable across equivalent URLs and releases', () => {
+  // 저장된 기사 ID가 바뀌면 중복 제거가 깨지므로 값 자체를 고정
+  assert.strictEqual(articleId(BASE), '1220c06f9a8a1983');
+  equivalent.forEach(([name, url]) => {
+    assert.strictEqual(articleId(url), '1220c06f9a8a1983', name);
+  });
+  assert.match(articleId('https://example.com/other'), /^[a-f0-9]{16}$/);
+  assert.notStrictEqual(articleId('https://example.com/a?id=1'), articleId('https://example.com/a?id=2'));
+});